@@ -0,0 +1,332 @@
+/**
+ * Custom type aliases - what `Slot` or `BLSPubkey` really is
+ *
+ * A custom type names another type, often another custom type, and forks can
+ * redefine one. Signatures in code blocks can be annotated with the type each
+ * alias comes down to at the block's fork, and a custom type's own page shows
+ * the whole chain as a tree: the aliases it goes through, and the presets and
+ * containers its definition names.
+ */
+
+import { getForkOrder, getForkDisplayName, getForkColor, getCategoryDisplayName, isVariableCategory, findEffectiveFork, existsAtFork } from './constants.js';
+import { getCollectedItems } from './tree.js';
+import { limitToSnapshot } from './snapshot.js';
+import { navigateToReference } from './references.js';
+import { PRIMARY_NETWORK } from './networks.js';
+import { readStored, writeStored, createSelect } from './utils.js';
+
+const ALIAS_TYPES_KEY = 'specViewerAliasTypes';
+
+// Categories an identifier in a type definition is looked up in, besides
+// custom types
+const REFERENCED_CATEGORIES = ['ssz_objects', 'preset_vars', 'constant_vars', 'config_vars'];
+
+// Longest alias chain followed, so a cycle cannot hang the page
+const MAX_CHAIN_LENGTH = 32;
+
+let annotationsEnabled = readStored(ALIAS_TYPES_KEY) !== 'false';
+
+// Alias tree settings, kept across items
+const treeState = {
+  open: true,
+  fork: null
+};
+
+/**
+ * Look up an item and the fork its definition at a fork comes from
+ * @returns {{item: Object, fork: string, value: *}|null}
+ */
+function definitionAt(items, category, name, fork) {
+  const item = (items[category] || {})[name];
+  if (!item || (fork && !existsAtFork(item, fork))) return null;
+  const effectiveFork = fork ? findEffectiveFork(item.forks, fork) : item.forks[item.forks.length - 1];
+  return effectiveFork ? { item, fork: effectiveFork, value: item.values[effectiveFork] } : null;
+}
+
+/**
+ * Follow a custom type through the aliases it names
+ * @param {Object} items - Collected items (category -> name -> item)
+ * @param {string} name - The custom type
+ * @param {string|null} fork - The fork to read definitions at, or null for
+ *   the latest
+ * @returns {Array<{name: string, definition: string, fork: string}>} One step
+ *   per custom type, the last one's definition being what it all comes down to
+ */
+export function getAliasChain(items, name, fork) {
+  const chain = [];
+  let current = name;
+  while (chain.length < MAX_CHAIN_LENGTH && !chain.some(step => step.name === current)) {
+    const found = definitionAt(items, 'custom_types', current, fork);
+    if (!found) break;
+    const definition = String(found.value).trim();
+    chain.push({ name: current, definition, fork: found.fork });
+    current = definition;
+  }
+  return chain;
+}
+
+/**
+ * Whether signatures are annotated with the types their aliases stand for
+ */
+export function isAliasAnnotationEnabled() {
+  return annotationsEnabled;
+}
+
+/**
+ * Build the toggle for signature annotations
+ * @param {Function} onChange - Called after toggling, to re-render
+ */
+export function createAliasToggle(onChange) {
+  const toggle = document.createElement('button');
+  toggle.className = 'value-format-toggle alias-toggle';
+  toggle.classList.toggle('active', annotationsEnabled);
+  toggle.innerHTML = '<i class="fas fa-tags"></i> Types';
+  toggle.title = annotationsEnabled
+    ? 'Hide the types custom types stand for'
+    : 'Show the type each custom type in a signature stands for';
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation(); // Don't toggle the collapsible
+    annotationsEnabled = !annotationsEnabled;
+    writeStored(ALIAS_TYPES_KEY, String(annotationsEnabled));
+    onChange();
+  });
+  return toggle;
+}
+
+/**
+ * Find the stretches of source that are signatures: a function's parameters
+ * and return type, and a class's field declarations
+ * @returns {Array<[number, number]>} Start and end offsets
+ */
+function findSignatureRanges(text) {
+  const ranges = [];
+
+  const defRegex = /^[ \t]*def\s+\w+\s*\(/gm;
+  let match;
+  while ((match = defRegex.exec(text)) !== null) {
+    // The header runs to the colon after the closing parenthesis
+    let depth = 0;
+    let end = match.index + match[0].length - 1;
+    for (; end < text.length; end++) {
+      const ch = text[end];
+      if (ch === '(' || ch === '[') depth++;
+      else if (ch === ')' || ch === ']') depth--;
+      else if (ch === ':' && depth === 0) break;
+    }
+    ranges.push([match.index, end]);
+  }
+
+  if (/^class\s/.test(text)) {
+    const fieldRegex = /^[ \t]+\w+\s*:[^=\n]+$/gm;
+    while ((match = fieldRegex.exec(text)) !== null) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Annotate the custom types in a code block's signatures with the types they
+ * stand for
+ *
+ * Runs on a block whose references are already linked.
+ * @param {HTMLElement} block - The code element
+ * @param {string|null} fork - The fork the block shows, or null for the latest
+ * @returns {number} How many references could be annotated, whether or not
+ *   annotations are on
+ */
+export function annotateAliasTypes(block, fork) {
+  const items = getCollectedItems();
+  if (!items.custom_types) return 0;
+
+  // Offsets of the references in the block's text
+  const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT, null);
+  const offsets = new Map();
+  let offset = 0;
+  let node;
+  while ((node = walker.nextNode())) {
+    const reference = node.parentElement.closest('.spec-reference');
+    if (reference && !offsets.has(reference)) offsets.set(reference, offset);
+    offset += node.textContent.length;
+  }
+
+  const ranges = findSignatureRanges(block.textContent);
+  let count = 0;
+  offsets.forEach((start, reference) => {
+    if (!ranges.some(([from, to]) => start >= from && start < to)) return;
+    const chain = getAliasChain(items, reference.dataset.targetName, fork);
+    if (chain.length === 0) return;
+
+    count++;
+    if (!annotationsEnabled) return;
+    const annotation = document.createElement('span');
+    annotation.className = 'alias-annotation';
+    annotation.textContent = chain[chain.length - 1].definition;
+    annotation.title = [reference.dataset.targetName, ...chain.map(step => step.definition)].join(' → ');
+    reference.after(annotation);
+  });
+  return count;
+}
+
+/**
+ * Describe what an identifier in a type definition names
+ * @returns {{category: string, value: *}|null}
+ */
+function describeReference(items, name, fork) {
+  for (const category of REFERENCED_CATEGORIES) {
+    const found = definitionAt(items, category, name, fork);
+    if (!found) continue;
+    if (!isVariableCategory(category)) return { category, value: null };
+    const value = found.value && typeof found.value === 'object' && !Array.isArray(found.value)
+      ? (found.value[PRIMARY_NETWORK] ?? Object.values(found.value).find(v => v !== undefined))
+      : found.value;
+    return { category, value: Array.isArray(value) ? value[1] : value };
+  }
+  return null;
+}
+
+/**
+ * Build a link to an item, opening it at the fork the tree is read at
+ */
+function createItemLink(name) {
+  const link = document.createElement('button');
+  link.className = 'config-check-link';
+  link.innerHTML = '<code></code>';
+  link.querySelector('code').textContent = name;
+  link.title = `Open ${name}`;
+  link.addEventListener('click', () => navigateToReference(name, true, treeState.fork));
+  return link;
+}
+
+/**
+ * Build the tree node for a custom type, and below it what its definition
+ * names
+ * @param {Set<string>} seen - Custom types already on the path, so a cycle
+ *   ends instead of recursing forever
+ */
+function createAliasNode(items, name, fork, seen, isRoot = false) {
+  const li = document.createElement('li');
+  const found = definitionAt(items, 'custom_types', name, fork);
+  const row = document.createElement('div');
+  row.className = 'alias-tree-row';
+  li.appendChild(row);
+
+  row.appendChild(isRoot ? Object.assign(document.createElement('code'), { textContent: name }) : createItemLink(name));
+  if (!found) return li;
+
+  const definition = String(found.value).trim();
+  row.insertAdjacentHTML('beforeend', ' <span class="alias-tree-equals">=</span> ');
+  const code = document.createElement('code');
+  code.textContent = definition;
+  row.appendChild(code);
+
+  const badge = document.createElement('span');
+  badge.className = 'file-name-badge alias-tree-fork';
+  badge.textContent = getForkDisplayName(found.fork);
+  badge.style.backgroundColor = getForkColor(found.fork);
+  badge.title = `Defined this way since ${getForkDisplayName(found.fork)}`;
+  row.appendChild(badge);
+
+  if (seen.has(name)) return li;
+  const path = new Set(seen).add(name);
+
+  const children = document.createElement('ul');
+  const identifiers = [...new Set(definition.match(/\b[A-Za-z_]\w*\b/g) || [])];
+  identifiers.forEach(identifier => {
+    if (identifier === name) return;
+    if (definitionAt(items, 'custom_types', identifier, fork)) {
+      children.appendChild(createAliasNode(items, identifier, fork, path));
+      return;
+    }
+
+    const reference = describeReference(items, identifier, fork);
+    if (!reference) return;
+    const child = document.createElement('li');
+    const childRow = document.createElement('div');
+    childRow.className = 'alias-tree-row';
+    childRow.appendChild(createItemLink(identifier));
+    if (reference.value !== null && reference.value !== undefined) {
+      childRow.insertAdjacentHTML('beforeend', ' <span class="alias-tree-equals">=</span> ');
+      const value = document.createElement('code');
+      value.textContent = String(reference.value);
+      childRow.appendChild(value);
+    }
+    const kind = document.createElement('span');
+    kind.className = 'alias-tree-kind';
+    kind.textContent = getCategoryDisplayName(reference.category);
+    childRow.appendChild(kind);
+    child.appendChild(childRow);
+    children.appendChild(child);
+  });
+  if (children.children.length > 0) li.appendChild(children);
+  return li;
+}
+
+/**
+ * Create the alias chain section for a custom type
+ * @returns {HTMLElement|null} The section, or null if the item is not a
+ *   custom type
+ */
+export function createAliasSection(item) {
+  if (item.category !== 'custom_types' || item.forks.length === 0) return null;
+
+  const allForks = window.getCurrentForks ? window.getCurrentForks() : getForkOrder();
+  const forks = limitToSnapshot(item, allForks.slice(Math.max(allForks.indexOf(item.forks[0]), 0)));
+  if (!forks.includes(treeState.fork)) treeState.fork = forks[forks.length - 1];
+
+  const section = document.createElement('div');
+  section.className = 'used-by-section alias-section';
+
+  const header = document.createElement('div');
+  header.className = 'used-by-header call-graph-header';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'call-graph-toggle';
+
+  const forkSelect = createSelect('Fork to follow the aliases at',
+    [...forks].reverse().map(fork => ({ value: fork, text: getForkDisplayName(fork) })),
+    treeState.fork, fork => {
+      treeState.fork = fork;
+      render();
+    });
+
+  header.appendChild(toggle);
+  header.appendChild(forkSelect);
+  section.appendChild(header);
+
+  const body = document.createElement('div');
+  section.appendChild(body);
+
+  const render = () => {
+    toggle.innerHTML = `
+      <i class="fas ${treeState.open ? 'fa-chevron-down' : 'fa-chevron-right'}"></i>
+      <span class="used-by-title">Alias chain</span>
+    `;
+    forkSelect.classList.toggle('hidden', !treeState.open);
+    body.innerHTML = '';
+    if (!treeState.open) return;
+
+    const items = getCollectedItems();
+    const chain = getAliasChain(items, item.name, treeState.fork);
+    const summary = document.createElement('div');
+    summary.className = 'ssz-summary';
+    summary.textContent = chain.length > 0
+      ? `${item.name} comes down to ${chain[chain.length - 1].definition} in ${getForkDisplayName(treeState.fork)}`
+      : `${item.name} does not exist in ${getForkDisplayName(treeState.fork)}`;
+    body.appendChild(summary);
+
+    const tree = document.createElement('ul');
+    tree.className = 'alias-tree';
+    tree.appendChild(createAliasNode(items, item.name, treeState.fork, new Set(), true));
+    body.appendChild(tree);
+  };
+
+  toggle.addEventListener('click', () => {
+    treeState.open = !treeState.open;
+    render();
+  });
+
+  render();
+  return section;
+}
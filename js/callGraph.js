@@ -0,0 +1,326 @@
+/**
+ * Call graph panel - an item's callers and callees, several levels deep
+ *
+ * Callers are laid out in columns to the left of the item and callees to the
+ * right, one column per level, so the blast radius of a change reads left to
+ * right. Nodes are colored by the fork that introduced them; forks can be
+ * hidden from the legend to cut the graph down.
+ */
+
+import { getForkOrder, getForkDisplayName, getForkColor } from './constants.js';
+import { getUses, getUsedBy, getItemElement, navigateToReference } from './references.js';
+import { createSelect } from './utils.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Node and layout geometry, in SVG units
+const NODE_HEIGHT = 24;
+const NODE_GAP = 8;
+const COLUMN_GAP = 56;
+const CHAR_WIDTH = 7.2;
+const NODE_PADDING = 10;
+
+// Most nodes per column before the rest collapse into a "+N more" node
+const MAX_COLUMN_NODES = 30;
+
+// Deepest level offered
+const MAX_DEPTH = 4;
+
+// Panel settings, kept across items so the graph opens the way it was left
+const graphState = {
+  open: false,
+  depth: 2,
+  hiddenForks: new Set()
+};
+
+/**
+ * Get the fork that introduced an item, or null if it is not in the tree
+ */
+function getIntroducingFork(name) {
+  const node = getItemElement(name);
+  return node && node._itemData ? node._itemData.forks[0] : null;
+}
+
+/**
+ * Walk references breadth first from an item
+ * @param {Function} neighbours - name => Array of names one level out
+ * @returns {Array<Array<{name, parent}>>} One array per level, level 1 first
+ */
+function collectLevels(rootName, neighbours, depth, seen) {
+  const levels = [];
+  let frontier = [rootName];
+
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const next = [];
+    frontier.forEach(parent => {
+      neighbours(parent).forEach(name => {
+        if (seen.has(name)) return;
+        const fork = getIntroducingFork(name);
+        if (!fork || graphState.hiddenForks.has(fork)) return;
+        seen.add(name);
+        next.push({ name, parent });
+      });
+    });
+    if (next.length > 0) levels.push(next);
+    frontier = next.map(entry => entry.name);
+  }
+
+  return levels;
+}
+
+/**
+ * Lay the graph out in columns
+ * @returns {{nodes: Array, edges: Array, width: number, height: number}}
+ */
+function layoutGraph(itemName) {
+  // An item reached on both sides is shown once, as a callee
+  const seen = new Set([itemName]);
+  const callees = collectLevels(itemName, getUses, graphState.depth, seen);
+  const callers = collectLevels(itemName, getUsedBy, graphState.depth, seen);
+
+  // Columns left to right: deepest caller ... item ... deepest callee
+  const columns = [
+    ...callers.map(level => ({ entries: level, side: 'caller' })).reverse(),
+    { entries: [{ name: itemName, parent: null }], side: 'root' },
+    ...callees.map(level => ({ entries: level, side: 'callee' }))
+  ];
+
+  const nodes = new Map();
+  const edges = [];
+  let x = 0;
+  let height = 0;
+
+  columns.forEach(column => {
+    const shown = column.entries.slice(0, MAX_COLUMN_NODES);
+    const overflow = column.entries.length - shown.length;
+    const labels = shown.map(entry => entry.name);
+    if (overflow > 0) labels.push(`+${overflow} more`);
+
+    const columnWidth = Math.max(...labels.map(label => label.length)) * CHAR_WIDTH + NODE_PADDING * 2;
+
+    shown.forEach((entry, index) => {
+      nodes.set(entry.name, {
+        name: entry.name,
+        fork: getIntroducingFork(entry.name),
+        isRoot: column.side === 'root',
+        x,
+        y: index * (NODE_HEIGHT + NODE_GAP),
+        width: columnWidth
+      });
+      if (entry.parent) {
+        // Edges always point from caller to callee
+        edges.push(column.side === 'callee'
+          ? { from: entry.parent, to: entry.name }
+          : { from: entry.name, to: entry.parent });
+      }
+    });
+
+    if (overflow > 0) {
+      nodes.set(`more:${x}`, {
+        name: labels[labels.length - 1],
+        fork: null,
+        isMore: true,
+        x,
+        y: shown.length * (NODE_HEIGHT + NODE_GAP),
+        width: columnWidth
+      });
+    }
+
+    height = Math.max(height, labels.length * (NODE_HEIGHT + NODE_GAP) - NODE_GAP);
+    x += columnWidth + COLUMN_GAP;
+  });
+
+  // Centre each column vertically
+  const columnHeights = new Map();
+  nodes.forEach(node => {
+    columnHeights.set(node.x, Math.max(columnHeights.get(node.x) || 0, node.y + NODE_HEIGHT));
+  });
+  nodes.forEach(node => {
+    node.y += (height - columnHeights.get(node.x)) / 2;
+  });
+
+  return {
+    nodes: Array.from(nodes.values()),
+    edges: edges.filter(edge => nodes.has(edge.from) && nodes.has(edge.to)).map(edge => ({
+      from: nodes.get(edge.from),
+      to: nodes.get(edge.to)
+    })),
+    width: Math.max(x - COLUMN_GAP, 0),
+    height
+  };
+}
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+/**
+ * Render the laid-out graph as SVG
+ */
+function renderSvg(layout) {
+  const margin = 4;
+  const svg = svgElement('svg', {
+    class: 'call-graph-svg',
+    width: layout.width + margin * 2,
+    height: layout.height + margin * 2,
+    viewBox: `${-margin} ${-margin} ${layout.width + margin * 2} ${layout.height + margin * 2}`
+  });
+
+  const defs = svgElement('defs');
+  const marker = svgElement('marker', {
+    id: 'call-graph-arrow',
+    viewBox: '0 0 10 10',
+    refX: 10,
+    refY: 5,
+    markerWidth: 6,
+    markerHeight: 6,
+    orient: 'auto'
+  });
+  marker.appendChild(svgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', class: 'call-graph-arrow' }));
+  defs.appendChild(marker);
+  svg.appendChild(defs);
+
+  layout.edges.forEach(({ from, to }) => {
+    const x1 = from.x + from.width;
+    const y1 = from.y + NODE_HEIGHT / 2;
+    const x2 = to.x;
+    const y2 = to.y + NODE_HEIGHT / 2;
+    const bend = (x2 - x1) / 2;
+    svg.appendChild(svgElement('path', {
+      class: 'call-graph-edge',
+      d: `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`,
+      'marker-end': 'url(#call-graph-arrow)'
+    }));
+  });
+
+  layout.nodes.forEach(node => {
+    const group = svgElement('g', {
+      class: 'call-graph-node' + (node.isRoot ? ' call-graph-root' : '') + (node.isMore ? ' call-graph-more' : ''),
+      transform: `translate(${node.x}, ${node.y})`
+    });
+
+    group.appendChild(svgElement('rect', {
+      width: node.width,
+      height: NODE_HEIGHT,
+      rx: 4,
+      fill: node.fork ? getForkColor(node.fork) : 'transparent'
+    }));
+
+    const text = svgElement('text', { x: NODE_PADDING, y: NODE_HEIGHT / 2, 'dominant-baseline': 'central' });
+    text.textContent = node.name;
+    group.appendChild(text);
+
+    if (!node.isMore) {
+      const title = svgElement('title');
+      title.textContent = `${node.name} (introduced in ${getForkDisplayName(node.fork)})`;
+      group.appendChild(title);
+    }
+    if (!node.isMore && !node.isRoot) {
+      group.addEventListener('click', () => navigateToReference(node.name, true));
+    }
+
+    svg.appendChild(group);
+  });
+
+  return svg;
+}
+
+/**
+ * Build the fork legend, which doubles as the fork filter. It lists the forks
+ * on screen plus any hidden ones, so they can be brought back.
+ */
+function createLegend(layout, onChange) {
+  const legend = document.createElement('div');
+  legend.className = 'call-graph-legend';
+
+  const shownForks = new Set(layout.nodes.map(node => node.fork));
+  getForkOrder().filter(fork => shownForks.has(fork) || graphState.hiddenForks.has(fork)).forEach(fork => {
+    const chip = document.createElement('button');
+    chip.className = 'call-graph-fork';
+    chip.classList.toggle('hidden-fork', graphState.hiddenForks.has(fork));
+    chip.innerHTML = `<span class="call-graph-swatch" style="background-color: ${getForkColor(fork)}"></span>${getForkDisplayName(fork)}`;
+    chip.title = `Show or hide items introduced in ${getForkDisplayName(fork)}`;
+    chip.addEventListener('click', () => {
+      if (graphState.hiddenForks.has(fork)) {
+        graphState.hiddenForks.delete(fork);
+      } else {
+        graphState.hiddenForks.add(fork);
+      }
+      onChange();
+    });
+    legend.appendChild(chip);
+  });
+
+  return legend;
+}
+
+/**
+ * Create the call graph section for an item
+ * @returns {HTMLElement|null} The section, or null if the item neither uses
+ *   nor is used by anything
+ */
+export function createCallGraphSection(item) {
+  if (getUses(item.name).length === 0 && getUsedBy(item.name).length === 0) return null;
+
+  const section = document.createElement('div');
+  section.className = 'used-by-section call-graph-section';
+
+  const header = document.createElement('div');
+  header.className = 'used-by-header call-graph-header';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'call-graph-toggle';
+
+  const depthOptions = [];
+  for (let depth = 1; depth <= MAX_DEPTH; depth++) {
+    depthOptions.push({ value: String(depth), text: `${depth} ${depth === 1 ? 'level' : 'levels'}` });
+  }
+  const depthSelect = createSelect('Call graph depth', depthOptions, String(graphState.depth));
+
+  header.appendChild(toggle);
+  header.appendChild(depthSelect);
+  section.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'call-graph-body';
+  section.appendChild(body);
+
+  const render = () => {
+    toggle.innerHTML = `
+      <i class="fas ${graphState.open ? 'fa-chevron-down' : 'fa-chevron-right'}"></i>
+      <span class="used-by-title">Call graph</span>
+    `;
+    depthSelect.classList.toggle('hidden', !graphState.open);
+    body.innerHTML = '';
+    if (!graphState.open) return;
+
+    const layout = layoutGraph(item.name);
+    body.appendChild(createLegend(layout, render));
+
+    const scroller = document.createElement('div');
+    scroller.className = 'call-graph-scroll';
+    if (layout.nodes.length === 1) {
+      scroller.innerHTML = '<span class="call-graph-empty">Every connected item is hidden by the fork filter</span>';
+    } else {
+      scroller.appendChild(renderSvg(layout));
+    }
+    body.appendChild(scroller);
+  };
+
+  toggle.addEventListener('click', () => {
+    graphState.open = !graphState.open;
+    render();
+  });
+  depthSelect.addEventListener('change', () => {
+    graphState.depth = Number(depthSelect.value);
+    render();
+  });
+
+  render();
+  return section;
+}
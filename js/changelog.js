@@ -0,0 +1,196 @@
+/**
+ * Release changelog - every item that changed between two versions
+ *
+ * Builds on the same collected items as the tree, so "changed" means exactly
+ * what the cross-version diff shows when an entry is opened: an item's value
+ * at some fork differs between the two releases.
+ */
+
+import { getCategoryOrder, getCategoryDisplayName, getForkOrder, getForkDisplayName, getForkColor } from './constants.js';
+import { alignReleaseForks } from './versionCompare.js';
+import { computeDiffStats } from './forkDiff.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Render a value as diffable text. Code is already text; variables are
+ * { network: [type, value, ...] } and get one line per network.
+ */
+function valueText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  return Object.entries(value)
+    .map(([network, networkValue]) => `${network}: ${JSON.stringify(networkValue)}`)
+    .join('\n');
+}
+
+/**
+ * Compare two sets of collected items
+ *
+ * An item that changed at several forks is listed under each of them, with
+ * the line counts for that fork alone.
+ * @param {Object} baseItems - Items of the older version (category -> name -> item)
+ * @param {Object} currentItems - Items of the newer version
+ * @returns {Object} category -> fork -> Array<{name, status, added, removed}>,
+ *   with names sorted within each fork
+ */
+export function computeChangelog(baseItems, currentItems) {
+  const changelog = {};
+
+  getCategoryOrder().forEach(category => {
+    const before = baseItems[category] || {};
+    const after = currentItems[category] || {};
+    const byFork = {};
+
+    const record = (fork, entry) => {
+      if (!byFork[fork]) byFork[fork] = [];
+      byFork[fork].push(entry);
+    };
+
+    const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+    names.forEach(name => {
+      const oldItem = before[name] || null;
+      const newItem = after[name] || null;
+
+      if (!oldItem || !newItem) {
+        // Added and removed items are listed once, at the fork that
+        // introduced them, with the size of their latest definition
+        const item = newItem || oldItem;
+        const lines = valueText(item.values[item.forks[item.forks.length - 1]]).split('\n').length;
+        record(item.forks[0], newItem
+          ? { name, status: 'added', added: lines, removed: 0 }
+          : { name, status: 'removed', added: 0, removed: lines });
+        return;
+      }
+
+      alignReleaseForks(newItem, oldItem).forEach(({ fork, oldValue, newValue }) => {
+        const oldText = valueText(oldValue);
+        const newText = valueText(newValue);
+        if (oldText === newText) return;
+
+        record(fork, { name, status: 'modified', ...computeDiffStats(oldText, newText) });
+      });
+    });
+
+    Object.values(byFork).forEach(entries => entries.sort((a, b) => a.name.localeCompare(b.name)));
+    if (Object.keys(byFork).length > 0) {
+      changelog[category] = byFork;
+    }
+  });
+
+  return changelog;
+}
+
+/**
+ * Count distinct items per status across a changelog
+ */
+function countByStatus(changelog) {
+  const seen = { added: new Set(), removed: new Set(), modified: new Set() };
+  Object.entries(changelog).forEach(([category, byFork]) => {
+    Object.values(byFork).forEach(entries => {
+      entries.forEach(entry => seen[entry.status].add(`${category}/${entry.name}`));
+    });
+  });
+  return {
+    added: seen.added.size,
+    removed: seen.removed.size,
+    modified: seen.modified.size
+  };
+}
+
+/**
+ * Render a changelog
+ * @param {HTMLElement} container - Emptied content area to render into
+ * @param {Object} changelog - Result of computeChangelog
+ * @param {Function} onOpen - Called with (name, category, fork, status) when
+ *   an entry is clicked
+ */
+export function renderChangelog(container, changelog, onOpen) {
+  const counts = countByStatus(changelog);
+
+  const summary = document.createElement('div');
+  summary.className = 'changelog-summary';
+  summary.innerHTML = `
+    <span class="changelog-status changelog-status-added">${counts.added} added</span>
+    <span class="changelog-status changelog-status-removed">${counts.removed} removed</span>
+    <span class="changelog-status changelog-status-modified">${counts.modified} modified</span>
+  `;
+  container.appendChild(summary);
+
+  if (Object.keys(changelog).length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'not-found-message';
+    empty.innerHTML = '<p>No items changed between these versions</p>';
+    container.appendChild(empty);
+    return;
+  }
+
+  // Newest forks first, matching the order fork blocks are shown in
+  const forkOrder = getForkOrder();
+  const byNewest = (a, b) => forkOrder.indexOf(b) - forkOrder.indexOf(a);
+
+  getCategoryOrder().forEach(category => {
+    const byFork = changelog[category];
+    if (!byFork) return;
+
+    const total = Object.values(byFork).reduce((sum, entries) => sum + entries.length, 0);
+
+    const box = document.createElement('div');
+    box.className = 'file-box changelog-category';
+
+    const header = document.createElement('div');
+    header.className = 'file-header';
+    header.innerHTML = `
+      <i class="fas fa-chevron-down file-toggle-icon"></i>
+      <span class="file-name">${getCategoryDisplayName(category)}</span>
+      <span class="changelog-count">${total}</span>
+    `;
+
+    const content = document.createElement('div');
+    content.className = 'file-content';
+
+    header.addEventListener('click', () => {
+      const isCollapsed = content.classList.contains('collapsed');
+      content.classList.toggle('collapsed');
+      header.querySelector('.file-toggle-icon').className = isCollapsed
+        ? 'fas fa-chevron-down file-toggle-icon'
+        : 'fas fa-chevron-right file-toggle-icon';
+    });
+
+    Object.keys(byFork).sort(byNewest).forEach(fork => {
+      const group = document.createElement('div');
+      group.className = 'changelog-fork-group';
+
+      const forkBadge = document.createElement('span');
+      forkBadge.className = 'fork-badge';
+      forkBadge.style.backgroundColor = getForkColor(fork);
+      forkBadge.textContent = getForkDisplayName(fork);
+      group.appendChild(forkBadge);
+
+      const list = document.createElement('div');
+      list.className = 'changelog-list';
+
+      byFork[fork].forEach(entry => {
+        const row = document.createElement('button');
+        row.className = `changelog-entry changelog-entry-${entry.status}`;
+        row.title = `Open ${entry.name} at ${getForkDisplayName(fork)}`;
+        row.innerHTML = `
+          <span class="changelog-status changelog-status-${entry.status}">${entry.status}</span>
+          <code>${escapeHtml(entry.name)}</code>
+          <span class="diff-stats">
+            <span class="diff-stat-added">+${entry.added}</span>
+            <span class="diff-stat-removed">-${entry.removed}</span>
+          </span>
+        `;
+        row.addEventListener('click', () => onOpen(entry.name, category, fork, entry.status));
+        list.appendChild(row);
+      });
+
+      group.appendChild(list);
+      content.appendChild(group);
+    });
+
+    box.appendChild(header);
+    box.appendChild(content);
+    container.appendChild(box);
+  });
+}
@@ -0,0 +1,287 @@
+/**
+ * Config check - compare a client's config or preset YAML with the spec
+ *
+ * The file is parsed in the browser and every key checked against the spec's
+ * configs or presets as they stand at one fork, on one network: values that
+ * differ, values of the wrong type, keys the spec does not know, and spec keys
+ * the file leaves out.
+ */
+
+import { getForkDisplayName, getCategoryDisplayName, findEffectiveFork } from './constants.js';
+import { getForkVariables } from './tree.js';
+import { parseIntegerValue, valuesMatch } from './valueFormat.js';
+import { PRIMARY_NETWORK, getNetworkLabel } from './networks.js';
+import { escapeHtml, createLabelledSelect } from './utils.js';
+
+// Categories a config or preset file can set
+const CHECKED_CATEGORIES = ['config_vars', 'preset_vars'];
+
+// Keys config files carry about themselves rather than about the chain
+const METADATA_KEYS = ['PRESET_BASE', 'CONFIG_NAME'];
+
+// Report order, problems first
+const STATUSES = [
+  { key: 'type', label: 'wrong type' },
+  { key: 'differs', label: 'differs' },
+  { key: 'missing', label: 'missing' },
+  { key: 'unknown', label: 'unknown' },
+  { key: 'unchecked', label: 'not compared' },
+  { key: 'match', label: 'matches' }
+];
+
+// Fork and network picked on the report, kept while the same file is
+// re-rendered
+const checkState = {
+  file: null,
+  fork: null,
+  network: null
+};
+
+/**
+ * Follow custom types down to the type they alias, e.g. Version -> Bytes4
+ * @param {Object} items - Collected items, for their custom types
+ */
+export function resolveType(type, items, fork) {
+  const customTypes = items.custom_types || {};
+  const seen = new Set();
+  let current = type;
+  while (current && customTypes[current] && !seen.has(current)) {
+    seen.add(current);
+    const item = customTypes[current];
+    const effectiveFork = findEffectiveFork(item.forks, fork);
+    if (!effectiveFork) break;
+    current = String(item.values[effectiveFork]).trim();
+  }
+  return current;
+}
+
+/**
+ * Check a file's value has the shape the spec's type needs
+ * @param {string} baseType - The spec's type, with aliases resolved
+ * @param {string} specValue - The spec's own value, to fall back on when the
+ *   type says nothing
+ * @returns {string|null} What was expected, or null if the value fits
+ */
+function checkType(fileValue, baseType, specValue) {
+  const integer = /^u?int\d*$/.test(baseType) || (!baseType && parseIntegerValue(specValue) !== null);
+  if (integer) {
+    const number = parseIntegerValue(fileValue);
+    if (number === null) return `an integer${baseType ? ` (${baseType})` : ''}`;
+    const bits = baseType.match(/^uint(\d+)$/);
+    if (number < 0n || (bits && number >= 2n ** BigInt(bits[1]))) return `a value that fits ${baseType}`;
+    return null;
+  }
+
+  const bytesType = baseType.match(/^Bytes(\d+)$/);
+  let length = bytesType ? Number(bytesType[1]) : null;
+  if (!baseType && /^0x(?:[0-9a-fA-F]{2})+$/.test(specValue)) length = (specValue.length - 2) / 2;
+  if (length !== null) {
+    const pattern = new RegExp(`^0x[0-9a-fA-F]{${length * 2}}$`);
+    return pattern.test(fileValue) ? null : `${length} bytes of hex${baseType ? ` (${baseType})` : ''}`;
+  }
+
+  if (baseType === 'boolean') {
+    return /^(true|false)$/i.test(fileValue) ? null : 'true or false';
+  }
+
+  return null;
+}
+
+/**
+ * Check every key of a config or preset file against the spec
+ *
+ * Keys are checked against the variables as the fork's data names them, so
+ * a fork-suffixed key such as `MAX_EFFECTIVE_BALANCE_ELECTRA` is checked on
+ * its own rather than against the item it is collected under.
+ * @param {Object} values - The parsed file, name -> value
+ * @param {Object} data - The loaded spec data
+ * @param {Object} items - Collected items (category -> name -> item), for
+ *   their custom types
+ * @param {string} fork - The fork to check against
+ * @param {string} network - The network whose values to check against
+ * @returns {{category: string|null, entries: Array<{name, itemName,
+ *   category, status, fileValue, specValue, note}>}} The category the file
+ *   was taken to be, and one entry per key
+ */
+export function validateConfig(values, data, items, fork, network) {
+  // Spec variables at the fork, by the names files use
+  const specVariables = new Map();
+  CHECKED_CATEGORIES.forEach(category => {
+    Object.entries(getForkVariables(data, fork, network, category)).forEach(([name, variable]) => {
+      specVariables.set(name, { category, ...variable });
+    });
+  });
+
+  // A file is a config or a preset, whichever most of its keys belong to, and
+  // only leaves out keys of its own kind
+  const names = Object.keys(values).filter(name => !METADATA_KEYS.includes(name));
+  const counts = CHECKED_CATEGORIES.map(category =>
+    names.filter(name => specVariables.get(name)?.category === category).length);
+  const category = Math.max(...counts) > 0 ? CHECKED_CATEGORIES[counts.indexOf(Math.max(...counts))] : null;
+
+  const entries = names.map(name => {
+    const fileValue = values[name];
+    const spec = specVariables.get(name);
+    if (!spec) {
+      return { name, itemName: null, category: null, status: 'unknown', fileValue, specValue: null, note: `Not a config or preset in ${getForkDisplayName(fork)}` };
+    }
+
+    const entry = { name, itemName: spec.baseName, category: spec.category, fileValue, specValue: spec.value, note: '' };
+
+    if (fileValue !== null && typeof fileValue === 'object') {
+      return { ...entry, status: 'unchecked', note: 'Lists and mappings are not compared' };
+    }
+    if (fileValue === null || fileValue === '') {
+      return { ...entry, status: 'type', note: 'No value given' };
+    }
+
+    const baseType = resolveType(spec.type, items, fork);
+    const expected = checkType(fileValue, baseType, spec.value);
+    if (expected) return { ...entry, status: 'type', note: `Expected ${expected}` };
+
+    return { ...entry, status: valuesMatch(fileValue, spec.value, baseType || spec.type) ? 'match' : 'differs' };
+  });
+
+  if (category) {
+    specVariables.forEach((spec, name) => {
+      if (spec.category !== category || Object.prototype.hasOwnProperty.call(values, name)) return;
+      entries.push({ name, itemName: spec.baseName, category, status: 'missing', fileValue: null, specValue: spec.value, note: '' });
+    });
+  }
+
+  const order = STATUSES.map(status => status.key);
+  entries.sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+  return { category, entries };
+}
+
+/**
+ * Pick the network a file most likely targets: the one its PRESET_BASE or
+ * CONFIG_NAME names, else mainnet
+ */
+function guessNetwork(values, networks) {
+  const named = METADATA_KEYS.map(key => values[key]).find(name => typeof name === 'string' && networks.includes(name));
+  return named || (networks.includes(PRIMARY_NETWORK) ? PRIMARY_NETWORK : networks[0]);
+}
+
+/**
+ * Render a value cell, or a dash when there is none
+ */
+function valueCell(value) {
+  if (value === null || value === undefined) return '<td class="release-value-missing">&mdash;</td>';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return `<td><code>${escapeHtml(text)}</code></td>`;
+}
+
+/**
+ * Render the report for a config or preset file
+ * @param {HTMLElement} container - Emptied content area to render into
+ * @param {{fileName: string, values: Object}} file - The parsed file
+ * @param {Object} data - The loaded spec data
+ * @param {Object} items - Collected items (category -> name -> item)
+ * @param {{forks: string[], networks: string[]}} choices - What the report
+ *   can be checked against
+ * @param {Function} onOpen - Called with (name, fork) when a key is clicked,
+ *   naming the item the key is collected under
+ */
+export function renderConfigCheck(container, file, data, items, { forks, networks }, onOpen) {
+  if (checkState.file !== file) {
+    checkState.file = file;
+    checkState.fork = null;
+    checkState.network = null;
+  }
+  if (!forks.includes(checkState.fork)) checkState.fork = forks[forks.length - 1];
+  if (!networks.includes(checkState.network)) checkState.network = guessNetwork(file.values, networks);
+
+  const render = () => {
+    container.innerHTML = '';
+    const { category, entries } = validateConfig(file.values, data, items, checkState.fork, checkState.network);
+
+    const controls = document.createElement('div');
+    controls.className = 'config-check-controls';
+    controls.appendChild(createLabelledSelect('Fork', [...forks].reverse().map(fork => ({ value: fork, text: getForkDisplayName(fork) })),
+      checkState.fork, fork => {
+        checkState.fork = fork;
+        render();
+      }));
+    controls.appendChild(createLabelledSelect('Network', networks.map(network => ({ value: network, text: getNetworkLabel(network) })),
+      checkState.network, network => {
+        checkState.network = network;
+        render();
+      }));
+
+    const kind = document.createElement('span');
+    kind.className = 'config-check-kind';
+    kind.textContent = category
+      ? `Checked as ${getCategoryDisplayName(category)}`
+      : 'No key matches a config or preset';
+    controls.appendChild(kind);
+    container.appendChild(controls);
+
+    const summary = document.createElement('div');
+    summary.className = 'changelog-summary';
+    summary.innerHTML = STATUSES.map(({ key, label }) => {
+      const count = entries.filter(entry => entry.status === key).length;
+      return count > 0 ? `<span class="config-check-status config-check-status-${key}">${count} ${label}</span>` : '';
+    }).join('');
+    container.appendChild(summary);
+
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'not-found-message';
+      empty.innerHTML = '<p>The file has no keys to check</p>';
+      container.appendChild(empty);
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'variable-table config-check-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Key</th>
+          <th>Status</th>
+          <th>${escapeHtml(file.fileName)}</th>
+          <th>Spec (${escapeHtml(getNetworkLabel(checkState.network))})</th>
+        </tr>
+      </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      row.className = `config-check-row-${entry.status}`;
+      const label = STATUSES.find(status => status.key === entry.status).label;
+      row.innerHTML = `
+        <td class="config-check-key"></td>
+        <td>
+          <span class="config-check-status config-check-status-${entry.status}">${label}</span>
+          ${entry.note ? `<div class="config-check-note">${escapeHtml(entry.note)}</div>` : ''}
+        </td>
+        ${valueCell(entry.fileValue)}
+        ${valueCell(entry.specValue)}
+      `;
+
+      const keyCell = row.querySelector('.config-check-key');
+      if (entry.category) {
+        const link = document.createElement('button');
+        link.className = 'config-check-link';
+        link.title = `Open ${entry.itemName} at ${getForkDisplayName(checkState.fork)}`;
+        link.innerHTML = `<code>${escapeHtml(entry.name)}</code>`;
+        link.addEventListener('click', () => onOpen(entry.itemName, checkState.fork));
+        keyCell.appendChild(link);
+      } else {
+        keyCell.innerHTML = `<code>${escapeHtml(entry.name)}</code>`;
+      }
+
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'fork-box config-check-box';
+    wrapper.appendChild(table);
+    container.appendChild(wrapper);
+  };
+
+  render();
+}
@@ -0,0 +1,345 @@
+/**
+ * Export - constants, presets or configs as a file
+ *
+ * Writes every variable of a category as it stands at one fork, on one
+ * network, under the names the fork's data uses - fork-suffixed ones such as
+ * `MAX_EFFECTIVE_BALANCE_ELECTRA` included, next to the base name they
+ * replace for later forks. YAML follows the
+ * layout of consensus-specs' own `configs/*.yaml`; JSON keeps every value a
+ * string, like the beacon API's config endpoint, since uint64 overflows a
+ * JavaScript number; the code formats declare typed constants.
+ */
+
+import { getForkOrder, getForkDisplayName, getCategoryOrder, getCategoryDisplayName, isVariableCategory } from './constants.js';
+import { getForkVariables } from './tree.js';
+import { parseIntegerValue } from './valueFormat.js';
+import { getNetworkLabel } from './networks.js';
+import { resolveType } from './configCheck.js';
+import { escapeHtml, createLabelledSelect } from './utils.js';
+
+export const EXPORT_FORMATS = [
+  { key: 'yaml', label: 'YAML', extension: 'yaml' },
+  { key: 'json', label: 'JSON', extension: 'json' },
+  { key: 'toml', label: 'TOML', extension: 'toml' },
+  { key: 'rust', label: 'Rust', extension: 'rs' },
+  { key: 'go', label: 'Go', extension: 'go' },
+  { key: 'typescript', label: 'TypeScript', extension: 'ts' }
+];
+
+const SECTION_RULE = '# ---------------------------------------------------------------';
+
+// Largest integers the code formats can declare natively
+const MAX_I64 = 2n ** 63n - 1n;
+const MAX_SAFE_INTEGER = BigInt(Number.MAX_SAFE_INTEGER);
+
+// Choices on the export page, kept while it is re-rendered
+const exportState = {
+  category: null,
+  fork: null,
+  network: null,
+  format: EXPORT_FORMATS[0].key
+};
+
+/**
+ * Read a spec value as an integer, a byte string or text
+ * @param {string} baseType - The value's type with aliases resolved; hex is
+ *   bytes unless the type says integer
+ * @returns {{kind: 'integer'|'bytes'|'boolean'|'string', value}}
+ */
+function normalizeValue(raw, baseType) {
+  const text = String(raw ?? '').trim();
+
+  const hex = text.match(/^(?:[A-Za-z_]\w*\(\s*)?(["']?)(0x[0-9a-fA-F]*)\1\s*\)?$/);
+  if (hex && !/^u?int/.test(baseType)) return { kind: 'bytes', value: hex[2].toLowerCase() };
+
+  const number = parseIntegerValue(text);
+  if (number !== null) return { kind: 'integer', value: number };
+
+  if (/^(True|False)$/.test(text)) return { kind: 'boolean', value: text === 'True' };
+  return { kind: 'string', value: text.replace(/^(["'])(.*)\1$/, '$2') };
+}
+
+/**
+ * Collect a category's variables as they stand at a fork, on a network
+ * @param {Object} data - The loaded spec data
+ * @param {Object} items - Collected items (category -> name -> item), for
+ *   their custom types
+ * @param {string[]} forks - The loaded version's forks, in order
+ * @returns {Array<{name, introducedIn, baseType, value}>} Sorted by the fork
+ *   that introduced each variable, then by name
+ */
+export function collectExportEntries(data, items, forks, category, fork, network) {
+  const forkOrder = getForkOrder();
+
+  // The first fork each name appears in, for grouping
+  const introducedIn = {};
+  forks.slice(0, forks.indexOf(fork) + 1).forEach(candidate => {
+    Object.keys(getForkVariables(data, candidate, network, category)).forEach(name => {
+      if (!introducedIn[name]) introducedIn[name] = candidate;
+    });
+  });
+
+  return Object.entries(getForkVariables(data, fork, network, category))
+    .map(([name, { type, value }]) => {
+      const baseType = resolveType(type, items, fork);
+      return { name, introducedIn: introducedIn[name] || fork, baseType, value: normalizeValue(value, baseType) };
+    })
+    .sort((a, b) => forkOrder.indexOf(a.introducedIn) - forkOrder.indexOf(b.introducedIn) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Split entries into runs introduced by the same fork
+ */
+function groupByFork(entries) {
+  const groups = [];
+  entries.forEach(entry => {
+    const last = groups[groups.length - 1];
+    if (last && last.fork === entry.introducedIn) {
+      last.entries.push(entry);
+    } else {
+      groups.push({ fork: entry.introducedIn, entries: [entry] });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Split a hex byte string into its bytes, e.g. ['0x01', '0x00']
+ */
+function hexBytes(hex) {
+  return (hex.slice(2).match(/../g) || []).map(pair => `0x${pair}`);
+}
+
+function formatYaml(entries, { category, network, title }) {
+  const lines = [`# ${title}`];
+  if (category === 'config_vars') {
+    lines.push('', `# Extends the ${network} preset`, `PRESET_BASE: '${network}'`, '', `CONFIG_NAME: '${network}'`);
+  }
+
+  const scalar = ({ kind, value }) => {
+    if (kind === 'string') return `'${value.replace(/'/g, "''")}'`;
+    return String(value);
+  };
+
+  groupByFork(entries).forEach(group => {
+    lines.push('', `# ${getForkDisplayName(group.fork)}`, SECTION_RULE);
+    group.entries.forEach(entry => lines.push(`${entry.name}: ${scalar(entry.value)}`));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function formatJson(entries) {
+  const values = {};
+  entries.forEach(({ name, value }) => {
+    values[name] = value.kind === 'boolean' ? value.value : String(value.value);
+  });
+  return JSON.stringify(values, null, 2) + '\n';
+}
+
+function formatToml(entries, { title }) {
+  const lines = [`# ${title}`];
+  const scalar = ({ kind, value }) => {
+    // TOML integers are signed 64-bit
+    if (kind === 'integer' && value >= -MAX_I64 - 1n && value <= MAX_I64) return String(value);
+    if (kind === 'boolean') return String(value);
+    return JSON.stringify(String(value));
+  };
+
+  groupByFork(entries).forEach(group => {
+    lines.push('', `# ${getForkDisplayName(group.fork)}`);
+    group.entries.forEach(entry => lines.push(`${entry.name} = ${scalar(entry.value)}`));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Pick the smallest unsigned width, in bits, a spec integer type or value
+ * needs, or null if it is wider than any native integer
+ */
+function integerWidth(baseType, value, maxBits) {
+  const declared = baseType.match(/^uint(\d+)$/);
+  const bits = declared ? Number(declared[1]) : 64;
+  if (bits > maxBits || value < 0n || value >= 2n ** BigInt(bits)) return null;
+  return bits;
+}
+
+function formatRust(entries, { title }) {
+  const lines = [`//! ${title}`];
+  const declaration = ({ name, baseType, value }) => {
+    if (value.kind === 'integer') {
+      const bits = integerWidth(baseType, value.value, 128);
+      return bits
+        ? `pub const ${name}: u${bits} = ${value.value};`
+        : `pub const ${name}: &str = "${value.value}"; // ${baseType || 'integer'}, too wide for a native integer`;
+    }
+    if (value.kind === 'bytes') {
+      const bytes = hexBytes(value.value);
+      return `pub const ${name}: [u8; ${bytes.length}] = [${bytes.join(', ')}];`;
+    }
+    if (value.kind === 'boolean') return `pub const ${name}: bool = ${value.value};`;
+    return `pub const ${name}: &str = ${JSON.stringify(value.value)};`;
+  };
+
+  groupByFork(entries).forEach(group => {
+    lines.push('', `// ${getForkDisplayName(group.fork)}`);
+    group.entries.forEach(entry => lines.push(declaration(entry)));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function formatGo(entries, { category, title }) {
+  const packageName = { config_vars: 'config', preset_vars: 'preset', constant_vars: 'constants' }[category] || 'spec';
+  const lines = [`// Package ${packageName} holds ${title.charAt(0).toLowerCase()}${title.slice(1)}`, `package ${packageName}`];
+  const declaration = ({ name, baseType, value }) => {
+    if (value.kind === 'integer') {
+      // Untyped constants are arbitrary precision, so wide values still fit
+      const bits = integerWidth(baseType, value.value, 64);
+      return bits ? `const ${name} uint${bits} = ${value.value}` : `const ${name} = ${value.value}`;
+    }
+    // Arrays cannot be constants
+    if (value.kind === 'bytes') {
+      const bytes = hexBytes(value.value);
+      return `var ${name} = [${bytes.length}]byte{${bytes.join(', ')}}`;
+    }
+    if (value.kind === 'boolean') return `const ${name} = ${value.value}`;
+    return `const ${name} = ${JSON.stringify(value.value)}`;
+  };
+
+  groupByFork(entries).forEach(group => {
+    lines.push('', `// ${getForkDisplayName(group.fork)}`);
+    group.entries.forEach(entry => lines.push(declaration(entry)));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function formatTypeScript(entries, { title }) {
+  const lines = [`// ${title}`];
+  const literal = ({ kind, value }) => {
+    if (kind === 'integer') return value > MAX_SAFE_INTEGER || value < -MAX_SAFE_INTEGER ? `${value}n` : String(value);
+    if (kind === 'boolean') return String(value);
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  };
+
+  groupByFork(entries).forEach(group => {
+    lines.push('', `// ${getForkDisplayName(group.fork)}`);
+    group.entries.forEach(entry => lines.push(`export const ${entry.name} = ${literal(entry.value)};`));
+  });
+  return lines.join('\n') + '\n';
+}
+
+const FORMATTERS = {
+  yaml: formatYaml,
+  json: formatJson,
+  toml: formatToml,
+  rust: formatRust,
+  go: formatGo,
+  typescript: formatTypeScript
+};
+
+/**
+ * Write entries in an export format
+ * @param {Array} entries - From collectExportEntries
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @param {{category, fork, network, version}} source - What was exported,
+ *   for the file's header
+ * @returns {string}
+ */
+export function formatExport(entries, format, { category, fork, network, version }) {
+  const title = `${getNetworkLabel(network)} ${getCategoryDisplayName(category)} as of ${getForkDisplayName(fork)}, from spec version ${version}`;
+  return FORMATTERS[format](entries, { category, network, title });
+}
+
+/**
+ * Offer text as a file download
+ */
+function downloadText(text, fileName) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Render the export page
+ * @param {HTMLElement} container - Emptied content area to render into
+ * @param {Object} data - The loaded spec data
+ * @param {Object} items - Collected items (category -> name -> item)
+ * @param {{forks: string[], networks: string[], version: string}} choices -
+ *   What can be exported
+ * @param {string} [category] - The category to start on
+ */
+export function renderConfigExport(container, data, items, { forks, networks, version }, category = null) {
+  const categories = getCategoryOrder().filter(isVariableCategory);
+  if (category && categories.includes(category)) exportState.category = category;
+  if (!categories.includes(exportState.category)) exportState.category = categories[0];
+  if (!forks.includes(exportState.fork)) exportState.fork = forks[forks.length - 1];
+  if (!networks.includes(exportState.network)) exportState.network = networks[0];
+
+  const render = () => {
+    container.innerHTML = '';
+
+    const choose = key => value => {
+      exportState[key] = value;
+      render();
+    };
+
+    const controls = document.createElement('div');
+    controls.className = 'config-check-controls';
+    controls.appendChild(createLabelledSelect('Export', categories.map(c => ({ value: c, text: getCategoryDisplayName(c) })),
+      exportState.category, choose('category')));
+    controls.appendChild(createLabelledSelect('Fork', [...forks].reverse().map(f => ({ value: f, text: getForkDisplayName(f) })),
+      exportState.fork, choose('fork')));
+    controls.appendChild(createLabelledSelect('Network', networks.map(n => ({ value: n, text: getNetworkLabel(n) })),
+      exportState.network, choose('network')));
+    controls.appendChild(createLabelledSelect('Format', EXPORT_FORMATS.map(f => ({ value: f.key, text: f.label })),
+      exportState.format, choose('format')));
+    container.appendChild(controls);
+
+    const entries = collectExportEntries(data, items, forks, exportState.category, exportState.fork, exportState.network);
+    const text = formatExport(entries, exportState.format, { ...exportState, version });
+    const format = EXPORT_FORMATS.find(f => f.key === exportState.format);
+    const fileName = `${exportState.network}-${getForkDisplayName(exportState.fork)}-${getCategoryDisplayName(exportState.category)}.${format.extension}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'export-actions';
+    actions.innerHTML = `<span class="config-check-kind">${entries.length} ${entries.length === 1 ? 'value' : 'values'}</span>`;
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'diff-toggle-btn';
+    copyBtn.innerHTML = '<i class="fas fa-copy"></i> Copy';
+    copyBtn.addEventListener('click', () => {
+      navigator.clipboard.writeText(text).then(() => {
+        copyBtn.innerHTML = '<i class="fas fa-check"></i> Copied';
+        setTimeout(() => {
+          copyBtn.innerHTML = '<i class="fas fa-copy"></i> Copy';
+        }, 1500);
+      });
+    });
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.className = 'diff-toggle-btn';
+    downloadBtn.innerHTML = `<i class="fas fa-download"></i> ${escapeHtml(fileName)}`;
+    downloadBtn.title = 'Download the file';
+    downloadBtn.addEventListener('click', () => downloadText(text, fileName));
+
+    actions.appendChild(copyBtn);
+    actions.appendChild(downloadBtn);
+    container.appendChild(actions);
+
+    const box = document.createElement('div');
+    box.className = 'file-box';
+    const pre = document.createElement('pre');
+    pre.className = 'export-preview';
+    const code = document.createElement('code');
+    code.textContent = text;
+    pre.appendChild(code);
+    box.appendChild(pre);
+    container.appendChild(box);
+  };
+
+  render();
+}
@@ -62,6 +62,58 @@ export function getForkShortLabel(fork) {
   return fork.slice(0, 3).toUpperCase();
 }
 
+/**
+ * Find the recorded fork whose value is in effect at a given fork
+ *
+ * Items only record the forks that changed them, so at any other fork the
+ * value is the one from the latest recorded fork at or before it.
+ * @param {Array<string>} forks - Recorded forks, in any order
+ * @param {string} fork - The fork being viewed
+ * @returns {string|null} The recorded fork in effect, or null if the item does
+ *   not exist yet at that fork
+ */
+export function findEffectiveFork(forks, fork) {
+  if (forks.includes(fork)) return fork;
+
+  const forkOrder = getForkOrder();
+  const targetIndex = forkOrder.indexOf(fork);
+  if (targetIndex < 0) return null;
+
+  let effective = null;
+  let effectiveIndex = -1;
+  forks.forEach(candidate => {
+    const index = forkOrder.indexOf(candidate);
+    if (index > effectiveIndex && index <= targetIndex) {
+      effective = candidate;
+      effectiveIndex = index;
+    }
+  });
+  return effective;
+}
+
+/**
+ * Find the removal an item is in at a fork
+ * @param {Object} item - An item, with the `{from, until}` ranges of forks it
+ *   was missing from; `until` is the fork that brought it back, or null
+ * @returns {Object|null} The removal, or null if the item was not removed there
+ */
+export function findRemovalAt(item, fork) {
+  const forkOrder = getForkOrder();
+  const index = forkOrder.indexOf(fork);
+  const removal = (item.removals || []).find(({ from, until }) =>
+    index >= forkOrder.indexOf(from) && (!until || index < forkOrder.indexOf(until))
+  );
+  return removal || null;
+}
+
+/**
+ * Whether an item exists at a fork: introduced by then, and not removed there
+ * @param {Object} item - An item, with its recorded forks and removals
+ */
+export function existsAtFork(item, fork) {
+  return findEffectiveFork(item.forks, fork) !== null && !findRemovalAt(item, fork);
+}
+
 /**
  * Get category display name
  */
@@ -6,42 +6,79 @@
  * rewrote it. Diffing a fork against its predecessor therefore shows precisely
  * what that fork introduced.
  *
- * Diffs render inline (unified), one row per line with both line numbers.
- * Comments are stripped from both sides first, so a fork that only re-worded a
- * `# [Modified in ...]` marker reads as no change.
+ * Any two forks of an item can also be diffed directly, skipping the forks in
+ * between; that pair is picked per item and carried in the URL hash.
+ *
+ * Diffs render inline (unified), one row per line with both line numbers,
+ * split, with the old fork on the left and the new one on the right, or as a
+ * summary of structural changes (see pyStructure.js). Within
+ * an edited line only the tokens that changed are marked. By default comments
+ * are stripped from both sides first, so a fork that only re-worded a
+ * `# [Modified in ...]` marker reads as no change; docstrings and whitespace
+ * can be ignored too, or comments kept. Long runs of unchanged lines fold
+ * away, keeping a few lines of context around each hunk.
  *
  * Relies on the jsdiff global (`Diff`) loaded from a CDN in index.html. Every
  * entry point degrades to plain code when that script is unavailable.
  */
 
+import { getForkOrder, getForkDisplayName } from './constants.js';
+import { diffPythonStructure } from './pyStructure.js';
+import { escapeHtml, readStored, writeStored, createSelect } from './utils.js';
+
 const DIFF_ENABLED_KEY = 'specViewerDiffEnabled';
+const DIFF_LAYOUT_KEY = 'specViewerDiffLayout';
+
+const LAYOUTS = ['unified', 'split', 'structure'];
+const DIFF_CONTEXT_KEY = 'specViewerDiffContext';
+const DIFF_IGNORE_KEY = 'specViewerDiffIgnore';
+
+// What a diff can be told to ignore, in menu order
+const IGNORE_OPTIONS = [
+  { key: 'comments', label: 'Comments', title: 'Drop # comments, including [Modified in ...] markers' },
+  { key: 'docstrings', label: 'Docstrings', title: 'Drop docstrings' },
+  { key: 'whitespace', label: 'Whitespace', title: 'Ignore blank lines and leading or trailing whitespace' }
+];
+
+// Comments only, unless the reader chose otherwise
+const DEFAULT_IGNORE = 'comments';
+
+// Unchanged lines kept around each hunk; 'all' turns folding off
+const CONTEXT_OPTIONS = ['3', '10', 'all'];
+
+// Shorter runs of unchanged lines are shown rather than folded
+const MIN_FOLD_LINES = 2;
+
+// Share of a line's text an edited pair must keep for its changed tokens to
+// be marked; below it the whole line reads as rewritten
+const INTRALINE_MIN_COMMON = 0.5;
+
+// Python tokens for the intraline diff: identifiers and numbers, runs of
+// whitespace, multi-character operators, then any other single character
+const LINE_TOKEN_REGEX = /\w+|\s+|\*\*=?|\/\/=?|<<=?|>>=?|->|:=|[-+*/%@&|^<>=!]=|[^\w\s]/g;
 
 const diffState = {
-  enabled: readStored(DIFF_ENABLED_KEY) === 'true'
+  enabled: readStored(DIFF_ENABLED_KEY) === 'true',
+  layout: LAYOUTS.includes(readStored(DIFF_LAYOUT_KEY)) ? readStored(DIFF_LAYOUT_KEY) : LAYOUTS[0],
+  context: CONTEXT_OPTIONS.includes(readStored(DIFF_CONTEXT_KEY)) ? readStored(DIFF_CONTEXT_KEY) : CONTEXT_OPTIONS[0],
+  ignore: readIgnoreOptions(),
+  // Two forks picked to diff directly, as {name, from, to}, or null to diff
+  // each fork against the previous one that changed the item
+  pair: null
 };
 
 /**
- * Read a persisted preference, tolerating environments where storage throws
- * (private browsing, disabled site data)
+ * Read the persisted ignore options, stored as a comma-separated list of keys
+ * @returns {Set<string>}
  */
-function readStored(key) {
-  try {
-    return localStorage.getItem(key);
-  } catch (err) {
-    return null;
-  }
+function readIgnoreOptions() {
+  const stored = readStored(DIFF_IGNORE_KEY);
+  const keys = (stored === null ? DEFAULT_IGNORE : stored).split(',');
+  return new Set(keys.filter(key => IGNORE_OPTIONS.some(option => option.key === key)));
 }
 
-/**
- * Persist a preference; failure just means it won't survive a reload
- */
-function writeStored(key, value) {
-  try {
-    localStorage.setItem(key, value);
-  } catch (err) {
-    /* storage unavailable - preference stays in-memory only */
-  }
-}
+// Whether the ignore menu was open when the controls were last rebuilt
+let ignoreMenuOpen = false;
 
 /**
  * Whether the jsdiff library loaded successfully
@@ -57,15 +94,253 @@ export function isDiffEnabled() {
   return diffState.enabled && isDiffAvailable();
 }
 
+/**
+ * Get the fork pair picked for an item
+ * @returns {{from: string, to: string}|null}
+ */
+export function getForkPair(item) {
+  const pair = diffState.pair;
+  if (!pair || pair.name !== item.name) return null;
+  return { from: pair.from, to: pair.to };
+}
+
+/**
+ * Drop a fork pair picked on another item. A pair belongs to the item it was
+ * picked on, so moving to another item drops it.
+ */
+export function keepForkPairFor(item) {
+  if (diffState.pair && diffState.pair.name !== item.name) diffState.pair = null;
+}
+
+/**
+ * Pick two forks of an item to diff directly, or clear the pick
+ */
+export function setForkPair(name, from, to) {
+  diffState.pair = name && from && to ? { name, from, to } : null;
+}
+
+/**
+ * Open a fork pair from a link. Diffing is turned on for the session without
+ * changing the saved preference.
+ */
+export function showForkPair(name, from, to) {
+  setForkPair(name, from, to);
+  diffState.enabled = true;
+}
+
+/**
+ * Get the forks an item can be diffed at: every fork of the loaded version
+ * from the one that introduced it
+ */
+function getPairableForks(item) {
+  const forks = window.getCurrentForks ? window.getCurrentForks() : getForkOrder();
+  const start = forks.indexOf(item.forks[0]);
+  return start === -1 ? [...item.forks] : forks.slice(start);
+}
+
+/**
+ * Build the pickers for diffing two forks directly. Leaving the first on
+ * "Each fork" keeps the fork-by-fork diff.
+ */
+function createForkPairPicker(item, onChange) {
+  const picker = document.createElement('div');
+  picker.className = 'diff-pair-picker';
+
+  const forks = getPairableForks(item);
+  const pair = getForkPair(item);
+
+  const forkOptions = forks.map(fork => ({ value: fork, text: getForkDisplayName(fork) }));
+  const fromSelect = createSelect('Diff from fork', [{ value: '', text: 'Each fork' }, ...forkOptions.slice(0, -1)], pair ? pair.from : '', null, 'diff-pair-select');
+  const toSelect = createSelect('Diff to fork', forkOptions, pair ? pair.to : forks[forks.length - 1], null, 'diff-pair-select');
+  fromSelect.title = 'Fork to diff from';
+  toSelect.title = 'Fork to diff to';
+
+  const arrow = document.createElement('span');
+  arrow.className = 'diff-pair-arrow';
+  arrow.innerHTML = '<i class="fas fa-arrow-right"></i>';
+
+  // Only forks after the start can end the pair
+  const limitToOptions = () => {
+    const fromIndex = forks.indexOf(fromSelect.value);
+    Array.from(toSelect.options).forEach((option, index) => {
+      option.disabled = index <= fromIndex;
+    });
+  };
+  limitToOptions();
+
+  const update = () => {
+    setForkPair(item.name, fromSelect.value, fromSelect.value ? toSelect.value : null);
+    onChange();
+  };
+  fromSelect.addEventListener('change', () => {
+    limitToOptions();
+    // Picking a start at or past the end diffs up to the latest fork instead
+    if (fromSelect.value && forks.indexOf(toSelect.value) <= forks.indexOf(fromSelect.value)) {
+      toSelect.value = forks[forks.length - 1];
+    }
+    update();
+  });
+  toSelect.addEventListener('change', () => {
+    // Never diff backwards, even if a disabled option gets picked
+    if (forks.indexOf(toSelect.value) <= forks.indexOf(fromSelect.value)) {
+      toSelect.value = pair ? pair.to : forks[forks.length - 1];
+      return;
+    }
+    update();
+  });
+
+  picker.appendChild(fromSelect);
+  if (pair) {
+    picker.appendChild(arrow);
+    picker.appendChild(toSelect);
+  }
+
+  return picker;
+}
+
+/**
+ * Build the unified/split/structure layout switch
+ */
+function createLayoutSwitch(onChange) {
+  const group = document.createElement('div');
+  group.className = 'diff-layout-switch';
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', 'Diff layout');
+
+  [
+    { layout: 'unified', icon: 'fa-bars', label: 'Unified', title: 'Show changes inline' },
+    { layout: 'split', icon: 'fa-table-columns', label: 'Split', title: 'Show the old and new fork side by side' },
+    { layout: 'structure', icon: 'fa-sitemap', label: 'Structure', title: 'Summarize changed parameters, asserts, branches and other statements' }
+  ].forEach(option => {
+    const button = document.createElement('button');
+    button.className = 'diff-layout-btn';
+    button.innerHTML = `<i class="fas ${option.icon}"></i> ${option.label}`;
+    button.title = option.title;
+    button.setAttribute('aria-pressed', String(diffState.layout === option.layout));
+    if (diffState.layout === option.layout) button.classList.add('active');
+
+    button.addEventListener('click', () => {
+      if (diffState.layout === option.layout) return;
+      diffState.layout = option.layout;
+      writeStored(DIFF_LAYOUT_KEY, option.layout);
+      onChange();
+    });
+    group.appendChild(button);
+  });
+
+  return group;
+}
+
+/**
+ * Build the select for how much unchanged context to keep around hunks
+ */
+function createContextSelect(onChange) {
+  const select = document.createElement('select');
+  select.className = 'diff-context-select';
+  select.title = 'Unchanged lines shown around each change';
+  select.setAttribute('aria-label', 'Diff context');
+
+  CONTEXT_OPTIONS.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value === 'all' ? 'All lines' : `${value} lines of context`;
+    select.appendChild(option);
+  });
+  select.value = diffState.context;
+
+  select.addEventListener('change', () => {
+    diffState.context = select.value;
+    writeStored(DIFF_CONTEXT_KEY, select.value);
+    onChange();
+  });
+
+  return select;
+}
+
+/**
+ * Build the menu of what diffs ignore
+ */
+function createIgnoreMenu(onChange) {
+  const menu = document.createElement('details');
+  menu.className = 'diff-ignore-menu';
+  menu.open = ignoreMenuOpen;
+  menu.addEventListener('toggle', () => {
+    ignoreMenuOpen = menu.open;
+  });
+
+  const summary = document.createElement('summary');
+  summary.className = 'diff-ignore-summary';
+  summary.title = 'Choose what the diff ignores';
+  const ignored = describeIgnoredChanges();
+  summary.innerHTML = `<i class="fas fa-filter"></i> ${ignored ? `Ignoring ${escapeHtml(ignored)}` : 'Ignoring nothing'}`;
+  menu.appendChild(summary);
+
+  const list = document.createElement('div');
+  list.className = 'diff-ignore-options';
+  IGNORE_OPTIONS.forEach(option => {
+    const label = document.createElement('label');
+    label.className = 'diff-ignore-option';
+    label.title = option.title;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = diffState.ignore.has(option.key);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        diffState.ignore.add(option.key);
+      } else {
+        diffState.ignore.delete(option.key);
+      }
+      writeStored(DIFF_IGNORE_KEY, IGNORE_OPTIONS.map(o => o.key).filter(key => diffState.ignore.has(key)).join(','));
+      onChange();
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(option.label));
+    list.appendChild(label);
+  });
+  menu.appendChild(list);
+
+  return menu;
+}
+
+/**
+ * Describe what diffs currently ignore, e.g. "comments and whitespace"
+ * @returns {string} Empty when nothing is ignored
+ */
+export function describeIgnoredChanges() {
+  const labels = IGNORE_OPTIONS
+    .filter(option => diffState.ignore.has(option.key))
+    .map(option => option.label.toLowerCase());
+  if (labels.length <= 1) return labels.join('');
+  return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
+
 /**
  * Build the diff controls for the spec header
  * @param {Function} onChange - Called after a toggle, to re-render the item
+ * @param {Object} [options]
+ * @param {boolean} [options.optionsOnly] - Only offer the ignore, context
+ *   and layout options, for views that always diff
+ * @param {boolean} [options.toggleOnly] - Only offer the on/off toggle, for
+ *   views with nothing else to choose
+ * @param {Object} [options.item] - The item shown, to offer its forks for
+ *   diffing directly
  * @returns {HTMLElement} The controls container
  */
-export function createDiffControls(onChange) {
+export function createDiffControls(onChange, { optionsOnly = false, toggleOnly = false, item = null } = {}) {
   const container = document.createElement('div');
   container.className = 'diff-controls';
 
+  if (optionsOnly) {
+    if (isDiffAvailable()) {
+      container.appendChild(createIgnoreMenu(onChange));
+      container.appendChild(createContextSelect(onChange));
+      container.appendChild(createLayoutSwitch(onChange));
+    }
+    return container;
+  }
+
   const toggle = document.createElement('button');
   toggle.className = 'diff-toggle-btn';
   toggle.innerHTML = '<i class="fas fa-code-compare"></i> Diff';
@@ -92,6 +367,14 @@ export function createDiffControls(onChange) {
 
   container.appendChild(toggle);
 
+  // The options only matter while diffs are showing
+  if (diffState.enabled && !toggleOnly) {
+    if (item) container.appendChild(createForkPairPicker(item, onChange));
+    container.appendChild(createIgnoreMenu(onChange));
+    container.appendChild(createContextSelect(onChange));
+    container.appendChild(createLayoutSwitch(onChange));
+  }
+
   return container;
 }
 
@@ -169,6 +452,57 @@ export function stripComments(code) {
   return out.join('\n').trimEnd();
 }
 
+/**
+ * Strip docstrings: string literals standing alone as a statement, which is
+ * how Python writes them. Strings used in an expression are kept.
+ */
+function stripDocstrings(code) {
+  const out = [];
+  let openDelim = null;
+  let inDocstring = false;
+
+  code.split('\n').forEach(line => {
+    const startedInString = openDelim !== null;
+    const { openDelim: nextDelim } = scanLine(line, openDelim);
+    openDelim = nextDelim;
+
+    if (!startedInString && /^\s*[rRbBuU]?("""|\'\'\')/.test(line)) {
+      // Runs until its closing quotes, which may be on this same line
+      inDocstring = openDelim !== null;
+      return;
+    }
+    if (inDocstring) {
+      inDocstring = openDelim !== null;
+      return;
+    }
+    out.push(line);
+  });
+
+  return out.join('\n');
+}
+
+/**
+ * Prepare code for diffing by dropping whatever the diff options ignore.
+ * Whitespace within lines is handled by the diff itself, so indentation
+ * still shows.
+ */
+export function normalizeForDiff(code) {
+  let normalized = code;
+  if (diffState.ignore.has('comments')) normalized = stripComments(normalized);
+  if (diffState.ignore.has('docstrings')) normalized = stripDocstrings(normalized);
+  if (diffState.ignore.has('whitespace')) {
+    normalized = normalized.split('\n').filter(line => line.trim() !== '').join('\n');
+  }
+  return normalized.trimEnd();
+}
+
+/**
+ * Diff two code strings line by line, honoring the whitespace option
+ */
+function diffCodeLines(oldText, newText) {
+  return Diff.diffLines(oldText, newText, { ignoreWhitespace: diffState.ignore.has('whitespace') });
+}
+
 /**
  * Ensure code ends with a newline before diffing.
  *
@@ -179,7 +513,8 @@ export function stripComments(code) {
  * blank line.
  */
 function withTrailingNewline(code) {
-  return code.endsWith('\n') ? code : `${code}\n`;
+  // Empty code stays empty: a lone newline would diff as one blank line
+  return code === '' || code.endsWith('\n') ? code : `${code}\n`;
 }
 
 /**
@@ -202,7 +537,7 @@ export function computeDiffStats(oldCode, newCode) {
   let added = 0;
   let removed = 0;
 
-  Diff.diffLines(withTrailingNewline(oldCode), withTrailingNewline(newCode)).forEach(part => {
+  diffCodeLines(withTrailingNewline(oldCode), withTrailingNewline(newCode)).forEach(part => {
     const count = toLines(part.value).length;
     if (part.added) added += count;
     else if (part.removed) removed += count;
@@ -218,10 +553,13 @@ function buildUnifiedRows(oldCode, newCode) {
   const oldText = withTrailingNewline(oldCode);
   const newText = withTrailingNewline(newCode);
 
-  const changes = Diff.diffLines(oldText, newText);
+  const changes = diffCodeLines(oldText, newText);
   const oldHtml = highlightCodeBlock(oldText);
   const newHtml = highlightCodeBlock(newText);
 
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
   const rows = [];
   let oldLine = 0;
   let newLine = 0;
@@ -232,10 +570,10 @@ function buildUnifiedRows(oldCode, newCode) {
     for (let i = 0; i < count; i++) {
       if (part.added) {
         newLine++;
-        rows.push({ type: 'added', newLine, html: newHtml[newLine - 1] || '' });
+        rows.push({ type: 'added', newLine, text: newLines[newLine - 1], html: newHtml[newLine - 1] || '' });
       } else if (part.removed) {
         oldLine++;
-        rows.push({ type: 'removed', oldLine, html: oldHtml[oldLine - 1] || '' });
+        rows.push({ type: 'removed', oldLine, text: oldLines[oldLine - 1], html: oldHtml[oldLine - 1] || '' });
       } else {
         oldLine++;
         newLine++;
@@ -244,20 +582,231 @@ function buildUnifiedRows(oldCode, newCode) {
     }
   });
 
+  markIntralineChanges(rows);
   return rows;
 }
 
 /**
- * Render an inline diff, with the old and new line numbers side by side
+ * Split a line into Python tokens, so `<` becoming `<=` marks the operator
+ * rather than a stray `=`
  */
-export function renderDiff(container, oldCode, newCode) {
-  const table = document.createElement('table');
-  table.className = 'diff-unified';
+function tokenizeLine(line) {
+  return line.match(LINE_TOKEN_REGEX) || [];
+}
 
-  const tbody = document.createElement('tbody');
-  const prefixes = { added: '+', removed: '-', context: ' ' };
+/**
+ * Diff two lines token by token
+ * @returns {{oldRanges: Array, newRanges: Array}|null} Changed character
+ *   ranges on each side, or null if the lines share too little for the
+ *   spans to help
+ */
+function diffLineTokens(oldText, newText) {
+  const oldRanges = [];
+  const newRanges = [];
+  let oldOffset = 0;
+  let newOffset = 0;
+  let common = 0;
+
+  Diff.diffArrays(tokenizeLine(oldText), tokenizeLine(newText)).forEach(part => {
+    const length = part.value.join('').length;
+    if (part.removed) {
+      oldRanges.push({ start: oldOffset, end: oldOffset + length });
+      oldOffset += length;
+    } else if (part.added) {
+      newRanges.push({ start: newOffset, end: newOffset + length });
+      newOffset += length;
+    } else {
+      common += part.value.join('').trim().length;
+      oldOffset += length;
+      newOffset += length;
+    }
+  });
+
+  // Below this, the line was rewritten rather than edited
+  const longest = Math.max(oldText.trim().length, newText.trim().length);
+  if (longest === 0 || common / longest < INTRALINE_MIN_COMMON) return null;
+
+  return {
+    oldRanges: mergeRanges(oldRanges, oldText),
+    newRanges: mergeRanges(newRanges, newText)
+  };
+}
+
+/**
+ * Join ranges separated only by whitespace, so `a b` changing to `c d` marks
+ * one span rather than two
+ */
+function mergeRanges(ranges, text) {
+  const merged = [];
+  ranges.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && text.slice(last.end, range.start).trim() === '') {
+      last.end = range.end;
+    } else {
+      merged.push({ ...range });
+    }
+  });
+  return merged;
+}
+
+/**
+ * Wrap character ranges of a highlighted line in spans, splitting Prism's
+ * text nodes so its markup survives
+ */
+function wrapRanges(html, ranges, className) {
+  if (ranges.length === 0) return html;
+
+  const holder = document.createElement('div');
+  holder.innerHTML = html;
+
+  const textNodes = [];
+  const walker = document.createTreeWalker(holder, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  let offset = 0;
+  textNodes.forEach(node => {
+    const start = offset;
+    const end = offset + node.data.length;
+    offset = end;
+
+    const overlapping = ranges.filter(range => range.start < end && range.end > start);
+    if (overlapping.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    let cursor = start;
+    overlapping.forEach(range => {
+      const from = Math.max(range.start, start);
+      const to = Math.min(range.end, end);
+      if (from > cursor) {
+        fragment.appendChild(document.createTextNode(node.data.slice(cursor - start, from - start)));
+      }
+      const span = document.createElement('span');
+      span.className = className;
+      span.textContent = node.data.slice(from - start, to - start);
+      fragment.appendChild(span);
+      cursor = to;
+    });
+    if (cursor < end) {
+      fragment.appendChild(document.createTextNode(node.data.slice(cursor - start)));
+    }
+    node.parentNode.replaceChild(fragment, node);
+  });
+
+  return holder.innerHTML;
+}
+
+/**
+ * Highlight the changed spans of edited lines
+ *
+ * A run of removed lines followed by a run of added lines pairs up line for
+ * line, the same way the split layout lines them up; each pair is diffed by
+ * token and only the tokens that differ are marked.
+ */
+function markIntralineChanges(rows) {
+  let index = 0;
+  while (index < rows.length) {
+    if (rows[index].type !== 'removed') {
+      index++;
+      continue;
+    }
+
+    const removedStart = index;
+    while (index < rows.length && rows[index].type === 'removed') index++;
+    const addedStart = index;
+    while (index < rows.length && rows[index].type === 'added') index++;
+
+    const pairs = Math.min(addedStart - removedStart, index - addedStart);
+    for (let i = 0; i < pairs; i++) {
+      const oldRow = rows[removedStart + i];
+      const newRow = rows[addedStart + i];
+      const ranges = diffLineTokens(oldRow.text, newRow.text);
+      if (!ranges) continue;
+      oldRow.html = wrapRanges(oldRow.html, ranges.oldRanges, 'diff-word-removed');
+      newRow.html = wrapRanges(newRow.html, ranges.newRanges, 'diff-word-added');
+    }
+  }
+}
+
+/**
+ * Pair the unified rows up into left/right rows for the split layout
+ *
+ * A run of removed lines followed by a run of added lines is a rewrite, so
+ * they share rows line for line; whichever side runs out first is padded
+ * with filler.
+ * @returns {Array<{left: Object|null, right: Object|null}>} Sides are
+ *   {type, line, html}, or null for filler
+ */
+function buildSplitRows(oldCode, newCode) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const length = Math.max(removed.length, added.length);
+    for (let i = 0; i < length; i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
 
   buildUnifiedRows(oldCode, newCode).forEach(row => {
+    if (row.type === 'removed') {
+      // Removals after additions start a new change
+      if (added.length > 0) flush();
+      removed.push({ type: 'removed', line: row.oldLine, html: row.html });
+    } else if (row.type === 'added') {
+      added.push({ type: 'added', line: row.newLine, html: row.html });
+    } else {
+      flush();
+      rows.push({
+        left: { type: 'context', line: row.oldLine, html: row.html },
+        right: { type: 'context', line: row.newLine, html: row.html }
+      });
+    }
+  });
+  flush();
+
+  return rows;
+}
+
+/**
+ * Render one side of a split row as its line number and content cells
+ */
+function splitSideCells(side) {
+  if (!side) {
+    return '<td class="diff-line-number diff-side-filler"></td><td class="diff-line-content diff-side-filler"></td>';
+  }
+  return `
+    <td class="diff-line-number diff-side-${side.type}">${side.line}</td>
+    <td class="diff-line-content diff-side-${side.type}">${side.html || '&nbsp;'}</td>
+  `;
+}
+
+/**
+ * Build the table rows for a split diff, old fork on the left and new on the
+ * right
+ * @returns {Array<{tr: HTMLElement, changed: boolean}>}
+ */
+function buildSplitTableRows(oldCode, newCode) {
+  return buildSplitRows(oldCode, newCode).map(row => {
+    const tr = document.createElement('tr');
+    const changed = !row.left || !row.right || row.left.type !== 'context';
+    tr.className = changed ? 'diff-split-changed' : 'diff-line-context';
+    tr.innerHTML = splitSideCells(row.left) + splitSideCells(row.right);
+    return { tr, changed };
+  });
+}
+
+/**
+ * Build the table rows for an inline diff, with the old and new line numbers
+ * side by side
+ * @returns {Array<{tr: HTMLElement, changed: boolean}>}
+ */
+function buildUnifiedTableRows(oldCode, newCode) {
+  const prefixes = { added: '+', removed: '-', context: ' ' };
+
+  return buildUnifiedRows(oldCode, newCode).map(row => {
     const tr = document.createElement('tr');
     tr.className = `diff-line-${row.type}`;
     tr.innerHTML = `
@@ -266,11 +815,253 @@ export function renderDiff(container, oldCode, newCode) {
       <td class="diff-line-prefix">${prefixes[row.type]}</td>
       <td class="diff-line-content">${row.html || '&nbsp;'}</td>
     `;
+    return { tr, changed: row.type !== 'context' };
+  });
+}
+
+/**
+ * Find the runs of unchanged rows further than the context setting from any
+ * change
+ * @param {Array<boolean>} changed - Whether each row is part of a change
+ * @returns {Array<{start: number, end: number}>} Half-open row ranges to fold
+ */
+function findFolds(changed) {
+  // A diff with nothing changed (say, only comments) stays fully visible
+  if (diffState.context === 'all' || !changed.includes(true)) return [];
+  const context = Number(diffState.context);
+
+  // Distance to the nearest change, swept from both ends
+  const distance = changed.map(() => Infinity);
+  let last = -Infinity;
+  changed.forEach((isChanged, i) => {
+    if (isChanged) last = i;
+    distance[i] = i - last;
+  });
+  last = Infinity;
+  for (let i = changed.length - 1; i >= 0; i--) {
+    if (changed[i]) last = i;
+    distance[i] = Math.min(distance[i], last - i);
+  }
+
+  const folds = [];
+  let start = null;
+  distance.concat(0).forEach((d, i) => {
+    if (d > context) {
+      if (start === null) start = i;
+    } else if (start !== null) {
+      if (i - start >= MIN_FOLD_LINES) folds.push({ start, end: i });
+      start = null;
+    }
+  });
+  return folds;
+}
+
+/**
+ * Show the rows behind a fold row and drop the fold row
+ */
+function expandFold(foldRow) {
+  let row = foldRow.nextElementSibling;
+  while (row && row.classList.contains('diff-folded')) {
+    row.classList.remove('diff-folded');
+    row = row.nextElementSibling;
+  }
+  foldRow.remove();
+}
+
+/**
+ * Build the row standing in for a run of folded rows
+ */
+function createFoldRow(count, columns) {
+  const tr = document.createElement('tr');
+  tr.className = 'diff-fold-row';
+
+  const cell = document.createElement('td');
+  cell.colSpan = columns;
+
+  const button = document.createElement('button');
+  button.className = 'diff-fold-btn';
+  button.innerHTML = `<i class="fas fa-arrows-up-down"></i> Show ${count} hidden ${count === 1 ? 'line' : 'lines'}`;
+  button.addEventListener('click', () => expandFold(tr));
+
+  cell.appendChild(button);
+  tr.appendChild(cell);
+  return tr;
+}
+
+/**
+ * Unfold whatever fold hides a diff row, e.g. to reveal a search hit
+ */
+export function revealDiffRow(row) {
+  if (!row.classList.contains('diff-folded')) return;
+
+  let sibling = row.previousElementSibling;
+  while (sibling && !sibling.classList.contains('diff-fold-row')) {
+    sibling = sibling.previousElementSibling;
+  }
+  if (sibling) expandFold(sibling);
+}
+
+/**
+ * Render a line diff: inline with the old and new line numbers side by side,
+ * or split into two columns. Unchanged runs beyond the context setting fold
+ * behind a row that expands them.
+ * @returns {number} The number of hunks
+ */
+function renderLineDiff(container, oldCode, newCode, split) {
+  const rows = split ? buildSplitTableRows(oldCode, newCode) : buildUnifiedTableRows(oldCode, newCode);
+  const changed = rows.map(row => row.changed);
+
+  const table = document.createElement('table');
+  table.className = split ? 'diff-split' : 'diff-unified';
+  const tbody = document.createElement('tbody');
+
+  let hunks = 0;
+  rows.forEach(({ tr }, i) => {
+    if (changed[i] && !changed[i - 1]) {
+      tr.classList.add('diff-hunk-start');
+      hunks++;
+    }
+  });
+
+  const folds = findFolds(changed);
+  rows.forEach(({ tr }, i) => {
+    const fold = folds.find(f => f.start === i);
+    if (fold) tbody.appendChild(createFoldRow(fold.end - fold.start, 4));
+    if (folds.some(f => i >= f.start && i < f.end)) tr.classList.add('diff-folded');
     tbody.appendChild(tr);
   });
 
   table.appendChild(tbody);
   container.appendChild(table);
+  return hunks;
+}
+
+/**
+ * Render a snippet of code for a structural change
+ */
+function createStructureCode(text, side) {
+  const code = document.createElement('code');
+  code.className = `structure-code structure-code-${side}`;
+  code.innerHTML = highlightCodeBlock(text).join('\n');
+  return code;
+}
+
+/**
+ * Render a summary of structural changes, each one a hunk, with the line
+ * diff folded away under it. The line diff alone is shown instead when the
+ * code cannot be parsed, or when nothing structural changed.
+ * @returns {number} The number of hunks
+ */
+function renderStructureDiff(container, oldCode, newCode) {
+  const changes = diffPythonStructure(oldCode, newCode);
+
+  if (!changes || changes.length === 0) {
+    const note = document.createElement('div');
+    note.className = 'structure-note';
+    note.textContent = changes
+      ? 'No structural changes; only formatting or comments differ'
+      : 'Could not follow the structure of this code, so showing the line diff';
+    container.appendChild(note);
+    return renderLineDiff(container, oldCode, newCode, false);
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'structure-changes';
+
+  changes.forEach(change => {
+    const entry = document.createElement('li');
+    entry.className = `structure-change structure-change-${change.type} diff-hunk-start`;
+
+    const heading = document.createElement('div');
+    heading.className = 'structure-change-heading';
+    heading.innerHTML = `<span class="structure-change-label">${escapeHtml(change.label)}</span>`;
+    if (change.context) {
+      heading.innerHTML += ` <span class="structure-change-context">in <code>${escapeHtml(change.context)}</code></span>`;
+    }
+    entry.appendChild(heading);
+
+    if (change.before !== null) entry.appendChild(createStructureCode(change.before, 'before'));
+    if (change.after !== null) entry.appendChild(createStructureCode(change.after, 'after'));
+    list.appendChild(entry);
+  });
+  container.appendChild(list);
+
+  const lineDiff = document.createElement('details');
+  lineDiff.className = 'structure-line-diff';
+  lineDiff.innerHTML = '<summary>Line diff</summary>';
+  renderLineDiff(lineDiff, oldCode, newCode, false);
+  container.appendChild(lineDiff);
+
+  return changes.length;
+}
+
+/**
+ * Render a diff in the chosen layout
+ * @returns {number} The number of hunks, for hunk navigation
+ */
+export function renderDiff(container, oldCode, newCode) {
+  if (diffState.layout === 'structure') return renderStructureDiff(container, oldCode, newCode);
+  return renderLineDiff(container, oldCode, newCode, diffState.layout === 'split');
+}
+
+/**
+ * Build previous/next buttons that step through the hunks of a block's diff
+ * @param {HTMLElement} diffContainer - The element the diff was rendered into
+ * @param {number} hunkCount - As returned by renderDiff
+ */
+export function createHunkNavigation(diffContainer, hunkCount) {
+  const nav = document.createElement('span');
+  nav.className = 'diff-hunk-nav';
+
+  const position = document.createElement('span');
+  position.className = 'diff-hunk-position';
+  let current = -1;
+
+  const showPosition = () => {
+    position.textContent = current === -1
+      ? `${hunkCount} ${hunkCount === 1 ? 'change' : 'changes'}`
+      : `${current + 1}/${hunkCount}`;
+  };
+
+  const step = (e, delta) => {
+    // The buttons sit in the fork header, which toggles the block
+    e.stopPropagation();
+
+    const content = diffContainer.closest('.file-content');
+    if (content && content.classList.contains('collapsed')) {
+      content.previousElementSibling.click();
+    }
+
+    // Hunks of a line diff folded under a structure summary do not count
+    const starts = Array.from(diffContainer.querySelectorAll('.diff-hunk-start'))
+      .filter(start => !start.closest('details:not([open])'));
+    if (starts.length === 0) return;
+
+    current = current === -1 && delta < 0
+      ? starts.length - 1
+      : (current + delta + starts.length) % starts.length;
+
+    starts.forEach((row, i) => row.classList.toggle('diff-hunk-current', i === current));
+    starts[current].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    showPosition();
+  };
+
+  [
+    { icon: 'fa-chevron-up', title: 'Previous change', delta: -1 },
+    { icon: 'fa-chevron-down', title: 'Next change', delta: 1 }
+  ].forEach(({ icon, title, delta }) => {
+    const button = document.createElement('button');
+    button.className = 'diff-hunk-btn';
+    button.innerHTML = `<i class="fas ${icon}"></i>`;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.addEventListener('click', e => step(e, delta));
+    nav.appendChild(button);
+  });
+
+  showPosition();
+  nav.insertBefore(position, nav.lastChild);
+  return nav;
 }
 
 /**
@@ -285,7 +1076,14 @@ export function highlightCodeBlock(code) {
     return code.split('\n').map(line => escapeHtml(line));
   }
 
-  const highlighted = Prism.highlight(code, Prism.languages.python, 'python');
+  return splitHighlightedLines(Prism.highlight(code, Prism.languages.python, 'python'));
+}
+
+/**
+ * Split highlighted HTML into one string per line, closing any span left open
+ * at a line boundary and reopening it on the next line
+ */
+export function splitHighlightedLines(highlighted) {
   const lines = [];
   let openTags = [];
 
@@ -309,12 +1107,3 @@ export function highlightCodeBlock(code) {
 
   return lines;
 }
-
-/**
- * Escape HTML special characters
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
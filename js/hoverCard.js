@@ -0,0 +1,251 @@
+/**
+ * Hover previews for spec references
+ *
+ * Resting the pointer on a `.spec-reference` shows a card with the referenced
+ * item as it stands at the fork being read: a function's signature, a
+ * variable's value, or the start of anything else. Clicking still navigates.
+ */
+
+import { getForkDisplayName, getForkColor, getCategoryDisplayName, isVariableCategory, findEffectiveFork } from './constants.js';
+import { getItemElement, findCurrentFork } from './references.js';
+import { escapeHtml } from './utils.js';
+
+// How long the pointer has to rest on a reference before the card shows
+const SHOW_DELAY_MS = 400;
+
+// Grace period for moving the pointer from the reference onto the card
+const HIDE_DELAY_MS = 200;
+
+// Most lines of a non-function definition to preview
+const MAX_PREVIEW_LINES = 12;
+
+let card = null;
+let showTimer = null;
+let hideTimer = null;
+let currentReference = null;
+
+/**
+ * Cut a function definition down to its signature, which may span lines
+ */
+function extractSignature(code) {
+  const lines = code.split('\n');
+  const start = lines.findIndex(line => /^\s*(async\s+)?def\s/.test(line));
+  if (start === -1) return null;
+
+  let depth = 0;
+  for (let i = start; i < lines.length; i++) {
+    for (const ch of lines[i]) {
+      if (ch === '(' || ch === '[') depth++;
+      else if (ch === ')' || ch === ']') depth--;
+    }
+    if (depth <= 0 && lines[i].trimEnd().endsWith(':')) {
+      return lines.slice(start, i + 1).join('\n');
+    }
+  }
+  return null;
+}
+
+/**
+ * Preview the start of a definition
+ */
+function truncateLines(code) {
+  const lines = code.replace(/\s+$/, '').split('\n');
+  if (lines.length <= MAX_PREVIEW_LINES) return lines.join('\n');
+  return lines.slice(0, MAX_PREVIEW_LINES).join('\n') + '\n...';
+}
+
+/**
+ * Render a variable's value at one fork as `NAME = type(value)`, with a line
+ * per network where the networks differ
+ */
+function formatVariable(name, forkValue) {
+  const describe = value => {
+    if (!Array.isArray(value)) return String(value ?? '');
+    const [type, raw] = value;
+    return type ? `${type}(${raw})` : String(raw);
+  };
+
+  if (!forkValue || typeof forkValue !== 'object' || Array.isArray(forkValue)) {
+    return `${name} = ${describe(forkValue)}`;
+  }
+
+  const networks = Object.entries(forkValue);
+  const rendered = networks.map(([network, value]) => [network, describe(value)]);
+  if (rendered.every(([, text]) => text === rendered[0][1])) {
+    return `${name} = ${rendered[0][1]}`;
+  }
+  return rendered.map(([network, text]) => `${name} = ${text}  # ${network}`).join('\n');
+}
+
+/**
+ * Build the preview text for an item at a fork
+ */
+function buildPreviewText(item, fork) {
+  const value = item.values[fork];
+  if (isVariableCategory(item.category)) return formatVariable(item.name, value);
+  if (typeof value !== 'string') return String(value ?? '');
+  if (item.category === 'functions') return extractSignature(value) || truncateLines(value);
+  return truncateLines(value);
+}
+
+/**
+ * Syntax-highlight preview text, falling back to plain text
+ */
+function highlightPreview(text) {
+  if (typeof Prism === 'undefined' || !Prism.languages.python) return escapeHtml(text);
+  return Prism.highlight(text, Prism.languages.python, 'python');
+}
+
+/**
+ * Create a fork badge
+ */
+function createForkBadge(fork) {
+  const badge = document.createElement('span');
+  badge.className = 'fork-badge';
+  badge.style.backgroundColor = getForkColor(fork);
+  badge.textContent = getForkDisplayName(fork);
+  return badge;
+}
+
+/**
+ * Fill the card for a reference
+ * @returns {boolean} False if the reference does not resolve to an item
+ */
+function renderCard(reference) {
+  const node = getItemElement(reference.dataset.targetName);
+  const item = node ? node._itemData : null;
+  if (!item || item.forks.length === 0) return false;
+
+  // Same fallback as opening the reference: the version in effect at the fork
+  // being read, else the latest
+  const viewingFork = findCurrentFork(reference);
+  const effectiveFork = viewingFork ? findEffectiveFork(item.forks, viewingFork) : null;
+  const shownFork = effectiveFork || item.forks[item.forks.length - 1];
+
+  card.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'hover-card-header';
+  header.innerHTML = `
+    <code class="hover-card-name">${escapeHtml(item.name)}</code>
+    <span class="hover-card-category">${escapeHtml(getCategoryDisplayName(item.category))}</span>
+  `;
+  card.appendChild(header);
+
+  const meta = document.createElement('div');
+  meta.className = 'hover-card-meta';
+  meta.appendChild(document.createTextNode('Introduced in '));
+  meta.appendChild(createForkBadge(item.forks[0]));
+  if (shownFork !== item.forks[0]) {
+    meta.appendChild(document.createTextNode(' showing '));
+    meta.appendChild(createForkBadge(shownFork));
+  }
+  if (viewingFork && !effectiveFork) {
+    const note = document.createElement('span');
+    note.className = 'hover-card-note';
+    note.textContent = `not yet in ${getForkDisplayName(viewingFork)}`;
+    meta.appendChild(note);
+  }
+  card.appendChild(meta);
+
+  const pre = document.createElement('pre');
+  pre.className = 'hover-card-code';
+  const code = document.createElement('code');
+  code.className = 'language-python';
+  code.innerHTML = highlightPreview(buildPreviewText(item, shownFork));
+  pre.appendChild(code);
+  card.appendChild(pre);
+
+  return true;
+}
+
+/**
+ * Place the card below the reference, or above it if there is no room
+ */
+function positionCard(reference) {
+  const rect = reference.getBoundingClientRect();
+  const cardRect = card.getBoundingClientRect();
+  const margin = 8;
+
+  let top = rect.bottom + margin;
+  if (top + cardRect.height > window.innerHeight && rect.top - cardRect.height - margin > 0) {
+    top = rect.top - cardRect.height - margin;
+  }
+  const left = Math.max(margin, Math.min(rect.left, window.innerWidth - cardRect.width - margin));
+
+  card.style.top = `${top + window.scrollY}px`;
+  card.style.left = `${left + window.scrollX}px`;
+}
+
+/**
+ * Show the card for a reference
+ */
+function showCard(reference) {
+  if (!card) {
+    card = document.createElement('div');
+    card.className = 'hover-card hidden';
+    card.setAttribute('role', 'tooltip');
+    card.addEventListener('mouseenter', () => clearTimeout(hideTimer));
+    card.addEventListener('mouseleave', scheduleHide);
+    document.body.appendChild(card);
+  }
+
+  if (!renderCard(reference)) return;
+
+  currentReference = reference;
+  card.classList.remove('hidden');
+  positionCard(reference);
+}
+
+/**
+ * Hide the card
+ */
+function hideCard() {
+  clearTimeout(showTimer);
+  clearTimeout(hideTimer);
+  currentReference = null;
+  if (card) card.classList.add('hidden');
+}
+
+/**
+ * Hide the card after the grace period, unless the pointer reaches it
+ */
+function scheduleHide() {
+  clearTimeout(hideTimer);
+  hideTimer = setTimeout(hideCard, HIDE_DELAY_MS);
+}
+
+/**
+ * Set up hover cards for every spec reference, present and future
+ */
+export function initReferenceHoverCards() {
+  document.addEventListener('mouseover', (e) => {
+    const reference = e.target.closest ? e.target.closest('.spec-reference') : null;
+    if (!reference) return;
+
+    clearTimeout(hideTimer);
+    if (reference === currentReference) return;
+
+    clearTimeout(showTimer);
+    showTimer = setTimeout(() => showCard(reference), SHOW_DELAY_MS);
+  });
+
+  document.addEventListener('mouseout', (e) => {
+    const reference = e.target.closest ? e.target.closest('.spec-reference') : null;
+    if (!reference) return;
+
+    clearTimeout(showTimer);
+    if (reference === currentReference) scheduleHide();
+  });
+
+  // Navigating or scrolling moves the reference out from under the card.
+  // Scrolling and selecting inside the card itself keeps it.
+  const hideUnlessInCard = (e) => {
+    if (!card || !card.contains(e.target)) hideCard();
+  };
+  document.addEventListener('click', hideUnlessInCard);
+  document.addEventListener('scroll', hideUnlessInCard, true);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') hideCard();
+  });
+}
@@ -0,0 +1,165 @@
+/**
+ * Keyboard shortcuts
+ *
+ *   Ctrl/Cmd+K   command palette
+ *   j / k        move down / up the tree
+ *   Enter        open the focused tree row
+ *   Left / Right collapse / expand the focused category
+ *   [ / ]        back / forward
+ *   d            toggle fork diffs
+ *
+ * Single-key shortcuts are ignored while typing in a field.
+ */
+
+import { openPalette, closePalette, isPaletteOpen } from './palette.js';
+
+// Tree row the keyboard is on; starts from the selected item
+let focusedLabel = null;
+
+/**
+ * Whether a key event comes from somewhere that takes text input
+ */
+function isTyping(e) {
+  const target = e.target;
+  if (!target || !target.tagName) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Whether an element is hidden by a filter or a collapsed parent
+ */
+function isHiddenInTree(element) {
+  return element.closest('.tree-filtered, .tree-children.collapsed') !== null;
+}
+
+/**
+ * Tree rows currently on screen, top to bottom: categories and the items of
+ * expanded categories
+ */
+function getVisibleLabels() {
+  return Array.from(document.querySelectorAll('#tree .tree-label'))
+    .filter(label => !isHiddenInTree(label));
+}
+
+/**
+ * Move the keyboard focus to a tree row
+ */
+function setFocusedLabel(label) {
+  if (focusedLabel) focusedLabel.classList.remove('keyboard-focus');
+  focusedLabel = label;
+  if (!label) return;
+
+  label.classList.add('keyboard-focus');
+  label.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * The row to move from: the focused one if still on screen, else the
+ * selected item
+ */
+function getCurrentLabel() {
+  if (focusedLabel && focusedLabel.isConnected && !isHiddenInTree(focusedLabel)) {
+    return focusedLabel;
+  }
+  const active = document.querySelector('#tree .tree-label.active');
+  return active && !isHiddenInTree(active) ? active : null;
+}
+
+/**
+ * Move the focus up or down the tree
+ */
+function moveFocus(step) {
+  const labels = getVisibleLabels();
+  if (labels.length === 0) return;
+
+  const index = labels.indexOf(getCurrentLabel());
+  const next = index === -1
+    ? (step > 0 ? 0 : labels.length - 1)
+    : Math.min(Math.max(index + step, 0), labels.length - 1);
+  setFocusedLabel(labels[next]);
+}
+
+/**
+ * Collapse or expand the category of the focused row. Collapsing from an
+ * item moves the focus up to its category, so the focus stays visible.
+ */
+function setFocusedExpanded(expand) {
+  const label = getCurrentLabel();
+  if (!label) return;
+
+  const node = label.parentElement;
+  const isCategory = !node.dataset.name;
+  const categoryNode = isCategory ? node : node.closest('.tree-children').parentElement;
+  const children = categoryNode.querySelector(':scope > .tree-children');
+  const icon = categoryNode.querySelector(':scope > .tree-label .tree-icon');
+  if (!children) return;
+
+  children.classList.toggle('collapsed', !expand);
+  if (icon) icon.textContent = expand ? '▼' : '▶';
+
+  if (!expand && !isCategory) {
+    setFocusedLabel(categoryNode.querySelector(':scope > .tree-label'));
+  }
+}
+
+/**
+ * Set up keyboard shortcuts
+ * @param {Object} actions - { goBack, goForward, toggleDiff }, each called
+ *   with no arguments
+ */
+export function initKeyboardShortcuts(actions) {
+  // Going back to the mouse leaves keyboard navigation, so the arrow keys
+  // scroll again
+  document.addEventListener('mousedown', () => setFocusedLabel(null));
+
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      if (isPaletteOpen()) {
+        closePalette();
+      } else {
+        openPalette();
+      }
+      return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e) || isPaletteOpen()) return;
+
+    switch (e.key) {
+      case 'j':
+        moveFocus(1);
+        break;
+      case 'k':
+        moveFocus(-1);
+        break;
+      case 'Enter': {
+        // Only once j/k have been used, so Enter on a focused button still
+        // just presses it
+        const label = focusedLabel ? getCurrentLabel() : null;
+        if (!label) return;
+        label.click();
+        break;
+      }
+      case 'ArrowLeft':
+        if (!focusedLabel) return;
+        setFocusedExpanded(false);
+        break;
+      case 'ArrowRight':
+        if (!focusedLabel) return;
+        setFocusedExpanded(true);
+        break;
+      case '[':
+        actions.goBack();
+        break;
+      case ']':
+        actions.goForward();
+        break;
+      case 'd':
+        actions.toggleDiff();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  });
+}
@@ -4,15 +4,43 @@
 
 import { initDarkMode } from './darkMode.js';
 import { initResizable } from './resizable.js';
-import { buildTree, filterTree, setOnItemSelectCallback } from './tree.js';
-import { displaySpec, clearSpec, openForkInViewer, showItemNotFound } from './specViewer.js';
+import { buildTree, filterTree, setOnItemSelectCallback, collectItems, getCollectedItems } from './tree.js';
+import { displaySpec, clearSpec, openForkInViewer, showItemNotFound, rerenderCurrentItem, displayRemovedItem, showPage } from './specViewer.js';
 import { getCategoryOrder, getCategoryDisplayName, getForkOrder, getForkDisplayName } from './constants.js';
 import { REPO_ORDER, DEFAULT_REPO, getRepo, getActiveRepo, setActiveRepo, isRepoId, applyForkOrderFromData } from './repos.js';
-import { initReferenceClickHandler, addToHistory, goBack, goForward, navigateToReference, clearHistory } from './references.js';
+import { initReferenceClickHandler, addToHistory, goBack, goForward, navigateToReference, clearHistory, getItemNames, getItemElement } from './references.js';
+import { setBaseline, clearBaseline, getBaselineItem, getBaselineItems } from './versionCompare.js';
+import { setSourceSearchPatterns } from './search.js';
+import { showForkPair } from './forkDiff.js';
+import { parseQuery, getSourcePatterns } from './query.js';
+import { computeChangelog, renderChangelog } from './changelog.js';
+import { initCommandPalette } from './palette.js';
+import { initKeyboardShortcuts } from './keyboard.js';
+import { initReferenceHoverCards } from './hoverCard.js';
+import { getDataNetworks, setAvailableNetworks, parseConfigYaml } from './networks.js';
+import { renderConfigCheck } from './configCheck.js';
+import { renderConfigExport } from './configExport.js';
+import { getSnapshotFork, setSnapshotFork, keepSnapshotForkIn, snapshotHashVersion } from './snapshot.js';
 
 // Mobile sidebar state
 let isMobileMenuOpen = false;
 
+// Fork filter modes, as offered in the fork filter bar
+const FORK_FILTER_MODES = [
+  { value: 'any', label: 'Changed in' },
+  { value: 'introduced', label: 'Introduced in' },
+  { value: 'modified', label: 'Modified in' },
+  { value: 'removed', label: 'Removed in' }
+];
+
+// Tooltip on the search box, replaced by any parse errors
+const SEARCH_SYNTAX_HELP = [
+  'Plain words match names fuzzily (prcdep finds process_deposit)',
+  '/regex/  fork:electra  changed:fulu  introduced:deneb  modified:fulu  removed:electra',
+  'cat:functions  uses:BeaconState  usedby:process_epoch',
+  'Separate alternatives with commas (changed:electra,fulu) or give a range (changed:deneb..fulu)'
+].join('\n');
+
 /**
  * Check if we're in mobile view
  */
@@ -95,23 +123,39 @@ const state = {
   currentItemName: null, // Track item name separately for version changes
   forks: [],
   categories: [],
-  activeForkFilter: null,
+  // Forks selected in the fork filter (a range when shift-clicked), and
+  // whether items must have been introduced, modified or either in them
+  forkFilter: { forks: [], mode: 'any', anchor: null },
   activeTypeFilter: null,
   searchTerm: '',
+  // 'name' matches item names, 'source' matches inside their definitions
+  searchMode: 'name',
   currentVersion: 'nightly',
   availableVersions: ['nightly'],
   currentRepo: DEFAULT_REPO,
   // Version list and last-viewed version, remembered per repo so switching
   // back and forth does not lose your place
   versionsByRepo: {},
-  lastVersionByRepo: {}
+  lastVersionByRepo: {},
+  // Second version items are diffed against, and its raw data so switching
+  // the current version does not refetch it
+  compareVersion: null,
+  compareData: null,
+  // Whether the "What changed" page is on screen instead of an item
+  showingChangelog: false,
+  // Config or preset file being checked against the spec, as
+  // {fileName, values}, and whether its report is on screen
+  configCheck: null,
+  showingConfigCheck: false,
+  // Whether the export page is on screen
+  showingExport: false
 };
 
 /**
  * Extract forks from data
  */
 function extractForks(data) {
-  const networkData = data.mainnet || data.minimal;
+  const networkData = data[getDataNetworks(data)[0]];
   if (!networkData) return [];
 
   const repo = getActiveRepo();
@@ -134,28 +178,73 @@ function buildForkFilters() {
   const container = document.getElementById('forkFilters');
   container.innerHTML = '';
 
+  const modeSelect = document.createElement('select');
+  modeSelect.className = 'fork-mode-select';
+  modeSelect.title = 'Match items the selected forks introduced, modified, either, or removed';
+  modeSelect.setAttribute('aria-label', 'Fork filter mode');
+  FORK_FILTER_MODES.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    modeSelect.appendChild(option);
+  });
+  modeSelect.value = state.forkFilter.mode;
+  modeSelect.addEventListener('change', () => {
+    state.forkFilter.mode = modeSelect.value;
+    applyFilters();
+  });
+  container.appendChild(modeSelect);
+
   state.forks.forEach(fork => {
     const btn = document.createElement('button');
     btn.className = 'fork-filter-btn';
     btn.textContent = getForkDisplayName(fork);
+    btn.title = 'Shift-click to select a range of forks';
     btn.dataset.fork = fork;
 
-    btn.addEventListener('click', () => {
-      // Toggle filter
-      if (state.activeForkFilter === fork) {
-        state.activeForkFilter = null;
-        btn.classList.remove('active');
-      } else {
-        // Remove active from all fork buttons
-        container.querySelectorAll('.fork-filter-btn').forEach(b => b.classList.remove('active'));
-        state.activeForkFilter = fork;
-        btn.classList.add('active');
-      }
+    btn.addEventListener('click', (e) => {
+      selectForkFilter(fork, e.shiftKey);
+      updateForkFilterButtons();
       applyFilters();
     });
 
     container.appendChild(btn);
   });
+
+  updateForkFilterButtons();
+}
+
+/**
+ * Update the fork filter selection for a click on a fork
+ * @param {boolean} extendRange - Select every fork from the last clicked one
+ *   to this one, rather than toggling this one alone
+ */
+function selectForkFilter(fork, extendRange) {
+  const filter = state.forkFilter;
+  const anchorIndex = state.forks.indexOf(filter.anchor);
+
+  if (extendRange && anchorIndex !== -1) {
+    const forkIndex = state.forks.indexOf(fork);
+    filter.forks = state.forks.slice(Math.min(anchorIndex, forkIndex), Math.max(anchorIndex, forkIndex) + 1);
+    return;
+  }
+
+  if (filter.forks.length === 1 && filter.forks[0] === fork) {
+    filter.forks = [];
+    filter.anchor = null;
+  } else {
+    filter.forks = [fork];
+    filter.anchor = fork;
+  }
+}
+
+/**
+ * Mark the selected forks' buttons active
+ */
+function updateForkFilterButtons() {
+  document.querySelectorAll('.fork-filter-btn').forEach(btn => {
+    btn.classList.toggle('active', state.forkFilter.forks.includes(btn.dataset.fork));
+  });
 }
 
 /**
@@ -194,7 +283,25 @@ function buildTypeFilters() {
  * Apply all filters to the tree
  */
 function applyFilters() {
-  filterTree(state.activeForkFilter, state.activeTypeFilter, state.searchTerm);
+  // Parsed on every run, since `uses:` and friends resolve against the tree
+  const query = parseQuery(state.searchTerm);
+  filterTree(state.forkFilter, state.activeTypeFilter, query, state.searchMode);
+
+  const searchInput = document.getElementById('searchInput');
+  searchInput.classList.toggle('search-invalid', query.errors.length > 0);
+  searchInput.title = query.errors.length > 0 ? query.errors.join('\n') : SEARCH_SYNTAX_HELP;
+
+  return query;
+}
+
+/**
+ * Apply a changed search, refreshing the highlights on the item on screen
+ * when searching source
+ */
+function applySearch() {
+  const query = applyFilters();
+  setSourceSearchPatterns(state.searchMode === 'source' ? getSourcePatterns(query) : []);
+  rerenderCurrentItem();
 }
 
 /**
@@ -203,6 +310,7 @@ function applyFilters() {
 function initSearch() {
   const searchInput = document.getElementById('searchInput');
   const searchClear = document.getElementById('searchClear');
+  const searchMode = document.getElementById('searchModeToggle');
 
   let debounceTimer;
 
@@ -213,8 +321,8 @@ function initSearch() {
     searchClear.classList.toggle('hidden', !hasText);
 
     debounceTimer = setTimeout(() => {
-      state.searchTerm = searchInput.value.toLowerCase();
-      applyFilters();
+      state.searchTerm = searchInput.value;
+      applySearch();
     }, 300);
   });
 
@@ -222,8 +330,22 @@ function initSearch() {
     searchInput.value = '';
     searchClear.classList.add('hidden');
     state.searchTerm = '';
-    applyFilters();
+    applySearch();
   });
+
+  if (searchMode) {
+    searchMode.addEventListener('click', () => {
+      state.searchMode = state.searchMode === 'source' ? 'name' : 'source';
+
+      const inSource = state.searchMode === 'source';
+      searchMode.classList.toggle('active', inSource);
+      searchMode.setAttribute('aria-pressed', String(inSource));
+      searchInput.placeholder = inSource ? 'Search item source...' : 'Search specifications...';
+
+      applySearch();
+      searchInput.focus();
+    });
+  }
 }
 
 /**
@@ -235,6 +357,9 @@ function initSearch() {
 function onItemSelect(item, addHistory = true, preferredFork = null) {
   state.currentItem = item;
   state.currentItemName = item.name;
+  state.showingChangelog = false;
+  state.showingConfigCheck = false;
+  state.showingExport = false;
 
   // Update active state in tree
   document.querySelectorAll('.tree-label.active').forEach(el => el.classList.remove('active'));
@@ -271,10 +396,16 @@ window.selectItem = onItemSelect;
 // Expose current version for URL generation
 window.getCurrentVersion = () => state.currentVersion;
 
+// Expose the forks the loaded version has, for fork pickers
+window.getCurrentForks = () => state.forks;
+
+// Expose fork pinning, for the item timeline
+window.setSnapshotFork = fork => onSnapshotChange(fork);
+
 /**
  * Parse a URL hash into its parts.
  *
- * Current format: repo/version/category-itemName[-fork]
+ * Current format: repo/version[@snapshotFork]/category-itemName[-fork|-fromFork..toFork]
  * Legacy formats: version/category-itemName[-fork], or category-itemName[-fork]
  *
  * Legacy hashes predate execution-specs support and always meant consensus,
@@ -305,22 +436,35 @@ function parseHash(hash) {
   // Fork names are matched against the repo the link points at, not the one
   // currently loaded
   const knownForks = getRepo(repo).forkOrder.map(f => f.toLowerCase());
+
+  let snapshotFork = null;
+  if (version && version.includes('@')) {
+    const [versionName, pinned] = version.split('@');
+    version = versionName;
+    if (knownForks.includes(pinned.toLowerCase())) snapshotFork = pinned.toUpperCase();
+  }
   const parts = remainder.split('-');
   const lastPart = parts[parts.length - 1].toLowerCase();
 
+  const pairParts = lastPart.split('..');
+
   let preferredFork = null;
+  let forkPair = null;
   let itemName;
 
   if (parts.length >= 3 && knownForks.includes(lastPart)) {
     preferredFork = lastPart.toUpperCase();
     itemName = parts.slice(1, -1).join('-');
+  } else if (parts.length >= 3 && pairParts.length === 2 && pairParts.every(fork => knownForks.includes(fork))) {
+    forkPair = { from: pairParts[0].toUpperCase(), to: pairParts[1].toUpperCase() };
+    itemName = parts.slice(1, -1).join('-');
   } else if (parts.length >= 2) {
     itemName = parts.slice(1).join('-');
   } else {
     itemName = remainder;
   }
 
-  return { repo, version, itemName, preferredFork };
+  return { repo, version, snapshotFork, itemName, preferredFork, forkPair };
 }
 
 /**
@@ -329,7 +473,11 @@ function parseHash(hash) {
 function handleDirectLink() {
   if (!window.location.hash) return;
 
-  const { version, itemName, preferredFork } = parseHash(window.location.hash.substring(1));
+  const { version, itemName, preferredFork, forkPair } = parseHash(window.location.hash.substring(1));
+
+  if (forkPair) {
+    showForkPair(itemName, forkPair.from, forkPair.to);
+  }
 
   // The repo is already applied before the initial load, so only the version
   // may still need switching here
@@ -452,8 +600,14 @@ async function onRepoChange(repoId) {
 
   state.currentItem = null;
   state.currentItemName = null;
-  state.activeForkFilter = null;
+  state.forkFilter = { forks: [], mode: state.forkFilter.mode, anchor: null };
   state.activeTypeFilter = null;
+  state.compareVersion = null;
+  state.compareData = null;
+  state.showingChangelog = false;
+  state.showingConfigCheck = false;
+  state.showingExport = false;
+  clearBaseline();
   clearHistory();
   clearSpec();
 
@@ -466,6 +620,7 @@ async function onRepoChange(repoId) {
     : (state.availableVersions.includes('nightly') ? 'nightly' : state.availableVersions[0]);
 
   populateVersionDropdown();
+  populateCompareDropdown();
   history.replaceState(null, '', `#${buildHash()}`);
 
   await loadVersionData(state.currentVersion);
@@ -491,11 +646,84 @@ function populateVersionDropdown() {
   });
 }
 
+/**
+ * Populate the compare dropdown with every version other than the current one
+ */
+function populateCompareDropdown() {
+  const select = document.getElementById('compareSelect');
+  if (!select) return;
+
+  select.innerHTML = '<option value="">compare with&hellip;</option>';
+
+  state.availableVersions
+    .filter(version => version !== state.currentVersion)
+    .forEach(version => {
+      const option = document.createElement('option');
+      option.value = version;
+      option.textContent = `vs ${version}`;
+      if (version === state.compareVersion) {
+        option.selected = true;
+      }
+      select.appendChild(option);
+    });
+
+  updateChangelogButton();
+}
+
+/**
+ * Enable the "What changed" button only when there is a release to compare
+ * against
+ */
+function updateChangelogButton() {
+  const button = document.getElementById('changelogButton');
+  if (!button) return;
+  button.disabled = !getChangelogBaseline();
+  button.title = button.disabled
+    ? `No release older than ${state.currentVersion} to compare against`
+    : 'List every item that changed between two versions';
+}
+
+/**
+ * Populate the snapshot dropdown with the forks the loaded version has
+ */
+function populateSnapshotDropdown() {
+  const select = document.getElementById('snapshotSelect');
+  if (!select) return;
+
+  select.innerHTML = '<option value="">all forks</option>';
+
+  [...state.forks].reverse().forEach(fork => {
+    const option = document.createElement('option');
+    option.value = fork;
+    option.textContent = `as of ${getForkDisplayName(fork)}`;
+    if (fork === getSnapshotFork()) {
+      option.selected = true;
+    }
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Pin the viewer to a fork, showing the spec as it stands there, or show
+ * every fork again
+ * @param {string|null} fork
+ */
+function onSnapshotChange(fork) {
+  setSnapshotFork(fork);
+  populateSnapshotDropdown();
+  applyFilters();
+  history.replaceState(null, '', `#${buildHash(
+    state.currentItemName,
+    state.currentItem && state.currentItem.category
+  )}`);
+  rerenderCurrentItem();
+}
+
 /**
  * Build the URL hash for the current repo, version and (optional) item
  */
 function buildHash(itemName, category) {
-  const base = `${state.currentRepo}/${state.currentVersion}/`;
+  const base = `${state.currentRepo}/${snapshotHashVersion(state.currentVersion)}/`;
   return itemName && category ? `${base}${category}-${itemName}` : base;
 }
 
@@ -510,6 +738,13 @@ async function onVersionChange(version) {
 
   state.currentVersion = version;
 
+  // Comparing a version against itself shows nothing, so switching onto the
+  // baseline ends the comparison
+  if (state.compareVersion === version) {
+    state.compareVersion = null;
+  }
+  populateCompareDropdown();
+
   // Clear navigation history when switching versions
   clearHistory();
 
@@ -523,6 +758,27 @@ async function onVersionChange(version) {
   // Reload data for the new version (preserves search term and filters)
   await loadVersionData(version);
 
+  // The config check is redone against the new version
+  if (state.showingConfigCheck) {
+    showConfigCheck();
+    return;
+  }
+  if (state.showingExport) {
+    showExport();
+    return;
+  }
+
+  // The changelog follows the new version, unless it just became the baseline
+  if (state.showingChangelog) {
+    if (state.compareVersion) {
+      showChangelog();
+    } else {
+      state.showingChangelog = false;
+      clearSpec();
+    }
+    return;
+  }
+
   // Try to re-select the same item in the new version
   if (itemNameToFind) {
     // Find the item in the new data
@@ -550,6 +806,239 @@ async function onVersionChange(version) {
   }
 }
 
+/**
+ * Fetch the spec data for a version of the active repo
+ */
+async function fetchVersionData(version) {
+  const response = await fetch(getActiveRepo().dataPath(version));
+  if (!response.ok) {
+    throw new Error(`Failed to load data: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Load the version being compared against and collect its items as the
+ * baseline, or clear the baseline when no comparison is selected
+ * @returns {Promise<boolean>} False if another version was picked while this
+ *   one was loading, in which case it is dropped
+ */
+async function loadBaseline() {
+  const version = state.compareVersion;
+  if (!version) {
+    clearBaseline();
+    return true;
+  }
+
+  if (!state.compareData || state.compareData.version !== version) {
+    const data = await fetchVersionData(version);
+    if (state.compareVersion !== version) return false;
+    state.compareData = { version, data };
+  }
+
+  const data = state.compareData.data;
+  setBaseline(version, collectItems(data, extractForks(data)));
+  return true;
+}
+
+/**
+ * Load the baseline, or end the comparison if its version cannot be loaded
+ * @returns {Promise<boolean>} Whether the baseline loaded and is still the
+ *   one picked
+ */
+async function tryLoadBaseline() {
+  const version = state.compareVersion;
+  try {
+    return await loadBaseline();
+  } catch (err) {
+    // Nothing to report for a version that is no longer picked
+    if (state.compareVersion !== version) return false;
+
+    console.error('Error loading comparison data:', err);
+    state.compareVersion = null;
+    clearBaseline();
+    populateCompareDropdown();
+
+    const error = document.getElementById('error');
+    error.textContent = `Error loading ${version} for comparison: ${err.message}`;
+    error.classList.remove('hidden');
+    return false;
+  }
+}
+
+/**
+ * Handle a change of the version being compared against
+ */
+async function onCompareChange(version) {
+  state.compareVersion = version || null;
+  updateChangelogButton();
+
+  // A failed load has ended the comparison, which still needs showing; a
+  // stale one leaves the rendering to the newer pick
+  if (!(await tryLoadBaseline()) && state.compareVersion) return;
+
+  if (state.showingChangelog) {
+    if (state.compareVersion) {
+      showChangelog();
+    } else {
+      state.showingChangelog = false;
+      clearSpec();
+    }
+    return;
+  }
+
+  rerenderCurrentItem();
+}
+
+/**
+ * The version "What changed" compares against: the one picked, or else the
+ * version listed after the current one (the previous release, since
+ * versions.json is newest first)
+ * @returns {string|null} Null when there is no older release to use
+ */
+function getChangelogBaseline() {
+  if (state.compareVersion) return state.compareVersion;
+
+  const index = state.availableVersions.indexOf(state.currentVersion);
+  if (index === -1) return null;
+  const previous = state.availableVersions[index + 1];
+  return previous && previous !== state.currentVersion ? previous : null;
+}
+
+/**
+ * Show the "What changed" page between the baseline and the current version
+ *
+ * With no comparison selected yet, the previous release becomes the baseline,
+ * so the button works in one click.
+ */
+async function showChangelog() {
+  if (!state.compareVersion) {
+    const previous = getChangelogBaseline();
+    if (!previous) {
+      const error = document.getElementById('error');
+      error.textContent = `No release older than ${state.currentVersion} to compare against; pick one under "compare with"`;
+      error.classList.remove('hidden');
+      return;
+    }
+
+    state.compareVersion = previous;
+    populateCompareDropdown();
+    if (!(await tryLoadBaseline())) return;
+  }
+
+  state.currentItem = null;
+  state.currentItemName = null;
+  state.showingChangelog = true;
+  state.showingConfigCheck = false;
+  state.showingExport = false;
+  document.querySelectorAll('.tree-label.active').forEach(el => el.classList.remove('active'));
+  history.replaceState(null, '', `#${buildHash()}`);
+
+  const content = showPage('What changed', `${state.compareVersion} \u2192 ${state.currentVersion}`);
+  renderChangelog(content, computeChangelog(getBaselineItems(), getCollectedItems()), openChangelogEntry);
+
+  if (isMobileView()) {
+    closeMobileSidebar();
+  }
+}
+
+/**
+ * Open an item listed on the "What changed" page, diffed against the baseline
+ */
+function openChangelogEntry(name, category, fork, status) {
+  if (status === 'removed') {
+    const baselineItem = getBaselineItem({ name, category });
+    if (!baselineItem) return;
+    state.showingChangelog = false;
+    state.currentItem = null;
+    state.currentItemName = name;
+    displayRemovedItem(baselineItem);
+    openForkInViewer(fork);
+    return;
+  }
+
+  selectItemByName(name, fork);
+}
+
+/**
+ * Read a config or preset YAML the user picked or dropped, and show how it
+ * compares with the spec. Nothing leaves the browser.
+ */
+async function openConfigFile(file) {
+  try {
+    state.configCheck = { fileName: file.name, values: parseConfigYaml(await file.text()) };
+  } catch (err) {
+    state.configCheck = null;
+    state.showingConfigCheck = false;
+    state.showingExport = false;
+    const message = document.createElement('div');
+    message.className = 'not-found-message';
+    message.appendChild(document.createElement('p')).textContent = `Could not read ${file.name}: ${err.message}`;
+    showPage('Config check', file.name).appendChild(message);
+    return;
+  }
+  showConfigCheck();
+}
+
+/**
+ * Show the report for the config file being checked
+ */
+function showConfigCheck() {
+  if (!state.configCheck) return;
+
+  state.currentItem = null;
+  state.currentItemName = null;
+  state.showingChangelog = false;
+  state.showingConfigCheck = true;
+  state.showingExport = false;
+  document.querySelectorAll('.tree-label.active').forEach(el => el.classList.remove('active'));
+  history.replaceState(null, '', `#${buildHash()}`);
+
+  const content = showPage('Config check', `${state.configCheck.fileName} \u2192 ${state.currentVersion}`);
+  renderConfigCheck(
+    content,
+    state.configCheck,
+    state.data,
+    getCollectedItems(),
+    { forks: state.forks, networks: getDataNetworks(state.data) },
+    (name, fork) => selectItemByName(name, fork)
+  );
+
+  if (isMobileView()) {
+    closeMobileSidebar();
+  }
+}
+
+/**
+ * Show the page exporting configs, presets or constants as a file
+ * @param {string} [category] - The category to export, else the last one
+ */
+function showExport(category = null) {
+  state.currentItem = null;
+  state.currentItemName = null;
+  state.showingChangelog = false;
+  state.showingConfigCheck = false;
+  state.showingExport = true;
+  document.querySelectorAll('.tree-label.active').forEach(el => el.classList.remove('active'));
+  history.replaceState(null, '', `#${buildHash()}`);
+
+  const content = showPage('Export', state.currentVersion);
+  renderConfigExport(
+    content,
+    state.data,
+    getCollectedItems(),
+    { forks: state.forks, networks: getDataNetworks(state.data), version: state.currentVersion },
+    category
+  );
+
+  if (isMobileView()) {
+    closeMobileSidebar();
+  }
+}
+
+// Expose for the export button on variable tables
+window.showExport = showExport;
+
 /**
  * Load data for a specific version
  */
@@ -561,38 +1050,43 @@ async function loadVersionData(version) {
   error.classList.add('hidden');
 
   // Save current filter states
-  const savedForkFilter = state.activeForkFilter;
   const savedTypeFilter = state.activeTypeFilter;
   const savedSearchTerm = state.searchTerm;
 
   try {
-    const response = await fetch(getActiveRepo().dataPath(version));
-    if (!response.ok) {
-      throw new Error(`Failed to load data: ${response.status} ${response.statusText}`);
-    }
-
-    state.data = await response.json();
+    state.data = await fetchVersionData(version);
 
     // execution-specs ships its own fork order, since it gains forks too often
     // for a hardcoded list to stay correct
     applyForkOrderFromData(state.data);
 
     state.forks = extractForks(state.data);
+    setAvailableNetworks(getDataNetworks(state.data));
+
+    // Stay pinned to the same fork if this version has it
+    keepSnapshotForkIn(state.forks);
+    populateSnapshotDropdown();
+
+    // The baseline is collected against the fork order just applied, so it
+    // has to be rebuilt alongside the current version. Failing to load it
+    // only ends the comparison.
+    await tryLoadBaseline();
+
+    // Keep the selected forks this version still has; buildForkFilters marks
+    // them active
+    const forkFilter = state.forkFilter;
+    forkFilter.forks = forkFilter.forks.filter(fork => state.forks.includes(fork));
+    if (!state.forks.includes(forkFilter.anchor)) forkFilter.anchor = null;
 
     // Build UI (this resets button states)
     buildForkFilters();
     buildTypeFilters();
 
     // Restore filter states
-    state.activeForkFilter = savedForkFilter;
     state.activeTypeFilter = savedTypeFilter;
     state.searchTerm = savedSearchTerm;
 
     // Re-apply active states to buttons
-    if (savedForkFilter) {
-      const forkBtn = document.querySelector(`.fork-filter-btn[data-fork="${savedForkFilter}"]`);
-      if (forkBtn) forkBtn.classList.add('active');
-    }
     if (savedTypeFilter) {
       const typeBtn = document.querySelector(`.type-filter-btn[data-type="${savedTypeFilter}"]`);
       if (typeBtn) typeBtn.classList.add('active');
@@ -605,7 +1099,7 @@ async function loadVersionData(version) {
     buildTree(state.data, state.forks);
 
     // Re-apply filters to tree
-    if (savedForkFilter || savedTypeFilter || savedSearchTerm) {
+    if (forkFilter.forks.length > 0 || savedTypeFilter || savedSearchTerm || getSnapshotFork()) {
       applyFilters();
     }
 
@@ -636,6 +1130,9 @@ async function loadData() {
     const parsed = parseHash(window.location.hash.substring(1));
     state.currentRepo = parsed.repo;
     versionFromHash = parsed.version;
+    // Applied before the first load so the tree is built already pinned;
+    // loadVersionData drops it if the version lacks that fork
+    setSnapshotFork(parsed.snapshotFork);
   }
   setActiveRepo(state.currentRepo);
 
@@ -650,6 +1147,7 @@ async function loadData() {
   }
 
   populateVersionDropdown();
+  populateCompareDropdown();
 
   await loadVersionData(state.currentVersion);
 }
@@ -664,6 +1162,74 @@ function initVersionSelector() {
   });
 }
 
+/**
+ * Initialize the compare-with-version selector
+ */
+function initCompareSelector() {
+  const select = document.getElementById('compareSelect');
+  if (!select) return;
+  select.addEventListener('change', () => {
+    onCompareChange(select.value);
+  });
+}
+
+/**
+ * Initialize the fork snapshot selector
+ */
+function initSnapshotSelector() {
+  const select = document.getElementById('snapshotSelect');
+  if (!select) return;
+  select.addEventListener('change', () => {
+    onSnapshotChange(select.value);
+  });
+}
+
+/**
+ * Initialize the "What changed" button
+ */
+function initChangelogButton() {
+  const button = document.getElementById('changelogButton');
+  if (!button) return;
+  button.addEventListener('click', () => {
+    showChangelog();
+  });
+}
+
+/**
+ * Initialize the config check: a button opening a file picker, and dropping
+ * a YAML file anywhere on the page
+ */
+function initConfigCheck() {
+  const button = document.getElementById('configCheckButton');
+  const input = document.getElementById('configFileInput');
+  if (!button || !input) return;
+
+  button.addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    if (input.files[0]) openConfigFile(input.files[0]);
+    // Picking the same file again should check it again
+    input.value = '';
+  });
+
+  const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+  document.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.add('config-drop-active');
+  });
+  document.addEventListener('dragleave', (e) => {
+    // Only leaving the window ends the drag, not moving between elements
+    if (!e.relatedTarget) document.body.classList.remove('config-drop-active');
+  });
+  document.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.remove('config-drop-active');
+    const file = Array.from(e.dataTransfer.files).find(f => /\.ya?ml$/i.test(f.name));
+    if (file) openConfigFile(file);
+  });
+}
+
 /**
  * Initialize repo selector
  */
@@ -675,6 +1241,26 @@ function initRepoSelector() {
   });
 }
 
+/**
+ * Go back to the previous item in the navigation history
+ */
+function navigateBack() {
+  const entry = goBack();
+  if (entry) {
+    navigateToReference(entry.name, false, entry.fork);
+  }
+}
+
+/**
+ * Go forward to the next item in the navigation history
+ */
+function navigateForward() {
+  const entry = goForward();
+  if (entry) {
+    navigateToReference(entry.name, false, entry.fork);
+  }
+}
+
 /**
  * Initialize navigation buttons
  */
@@ -683,22 +1269,123 @@ function initNavigation() {
   const forwardButton = document.getElementById('navForward');
 
   if (backButton) {
-    backButton.addEventListener('click', () => {
-      const entry = goBack();
-      if (entry) {
-        navigateToReference(entry.name, false, entry.fork);
-      }
-    });
+    backButton.addEventListener('click', navigateBack);
   }
 
   if (forwardButton) {
-    forwardButton.addEventListener('click', () => {
-      const entry = goForward();
-      if (entry) {
-        navigateToReference(entry.name, false, entry.fork);
-      }
+    forwardButton.addEventListener('click', navigateForward);
+  }
+}
+
+/**
+ * Toggle fork diffs on the item on screen, if it offers them
+ */
+function toggleDiff() {
+  const toggle = document.querySelector('.spec-header .diff-toggle-btn');
+  if (toggle && !toggle.disabled) toggle.click();
+}
+
+/**
+ * List everything the command palette can do right now
+ */
+function getPaletteCommands() {
+  const commands = [];
+  const item = state.currentItem;
+
+  // Actions first, so they lead the list when nothing has been typed
+  if (document.querySelector('.spec-header .diff-toggle-btn:not([disabled])')) {
+    commands.push({ label: 'Toggle fork diff', group: 'action', icon: 'fa-code-compare', suggested: true, run: toggleDiff });
+  }
+  commands.push({
+    label: 'Toggle dark mode',
+    group: 'action',
+    icon: 'fa-moon',
+    suggested: true,
+    run: () => document.getElementById('darkModeToggle').click()
+  });
+  if (item) {
+    commands.push({
+      label: 'Copy link to this item',
+      group: 'action',
+      icon: 'fa-link',
+      suggested: true,
+      run: () => navigator.clipboard.writeText(window.location.href)
+    });
+    // Newest first, matching the fork blocks
+    [...item.forks].reverse().forEach(fork => {
+      commands.push({
+        label: `Open ${getForkDisplayName(fork)}`,
+        group: `fork of ${item.name}`,
+        icon: 'fa-code-branch',
+        suggested: true,
+        run: () => openForkInViewer(fork)
+      });
     });
   }
+  if (getChangelogBaseline()) {
+    commands.push({ label: 'What changed', group: 'action', icon: 'fa-list-ul', run: showChangelog });
+  }
+  commands.push({
+    label: 'Check a config file',
+    group: 'action',
+    icon: 'fa-clipboard-check',
+    run: () => document.getElementById('configFileInput').click()
+  });
+  commands.push({ label: 'Export configs, presets or constants', group: 'action', icon: 'fa-file-export', run: () => showExport() });
+  if (getSnapshotFork()) {
+    commands.push({ label: 'Show every fork', group: 'snapshot', icon: 'fa-layer-group', run: () => onSnapshotChange(null) });
+  }
+  [...state.forks].reverse()
+    .filter(fork => fork !== getSnapshotFork())
+    .forEach(fork => {
+      commands.push({
+        label: `Show the spec as of ${getForkDisplayName(fork)}`,
+        group: 'snapshot',
+        icon: 'fa-thumbtack',
+        run: () => onSnapshotChange(fork)
+      });
+    });
+
+  state.availableVersions
+    .filter(version => version !== state.currentVersion)
+    .forEach(version => {
+      commands.push({
+        label: `Switch to ${version}`,
+        group: 'version',
+        icon: 'fa-tag',
+        run: () => {
+          document.getElementById('versionSelect').value = version;
+          onVersionChange(version);
+        }
+      });
+    });
+
+  REPO_ORDER
+    .filter(repoId => repoId !== state.currentRepo)
+    .forEach(repoId => {
+      commands.push({
+        label: `Switch to ${repoId}`,
+        group: 'repo',
+        icon: 'fa-book',
+        run: () => {
+          document.getElementById('repoSelect').value = repoId;
+          onRepoChange(repoId);
+        }
+      });
+    });
+
+  getItemNames().forEach(name => {
+    const node = getItemElement(name);
+    const category = node && node._itemData ? node._itemData.category : null;
+    commands.push({
+      label: name,
+      group: category ? getCategoryDisplayName(category) : 'item',
+      icon: 'fa-file-code',
+      run: () => navigateToReference(name)
+    });
+  });
+
+  return commands;
 }
 
 /**
@@ -710,9 +1397,16 @@ function init() {
   initMobileSidebar();
   initSearch();
   initNavigation();
+  initCommandPalette(getPaletteCommands);
+  initKeyboardShortcuts({ goBack: navigateBack, goForward: navigateForward, toggleDiff });
   initRepoSelector();
   initVersionSelector();
+  initCompareSelector();
+  initSnapshotSelector();
+  initChangelogButton();
+  initConfigCheck();
   initReferenceClickHandler();
+  initReferenceHoverCards();
   loadData();
 }
 
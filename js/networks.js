@@ -0,0 +1,248 @@
+/**
+ * Networks - which presets and configs value tables show
+ *
+ * spec.json keys its data by network: `mainnet` and `minimal`, plus any
+ * testnet or devnet configs it was built with. Mainnet is the reference every
+ * other network is compared against, so it is always shown; the rest are
+ * picked from a menu. A config YAML loaded from disk joins as one more
+ * network, overriding config values only.
+ */
+
+import { parseYaml } from './yaml.js';
+import { escapeHtml, readStored, writeStored } from './utils.js';
+
+export const PRIMARY_NETWORK = 'mainnet';
+export const LOCAL_NETWORK = 'local';
+
+// Networks listed first, in this order; any others follow alphabetically
+const NETWORK_ORDER = ['mainnet', 'minimal'];
+
+// Hidden rather than shown networks are stored, so networks a new spec.json
+// brings along show up without having to be picked
+const HIDDEN_NETWORKS_KEY = 'specViewerHiddenNetworks';
+const LOCAL_CONFIG_KEY = 'specViewerLocalConfig';
+
+const networkState = {
+  available: [PRIMARY_NETWORK],
+  hidden: new Set((readStored(HIDDEN_NETWORKS_KEY) || '').split(',').filter(Boolean)),
+  // The loaded config as {fileName, values: {NAME: value}}, or null
+  local: restoreLocalConfig()
+};
+
+// Whether the menu was open when the table was last rendered, and the last
+// error loading a config, both kept across re-renders
+let menuOpen = false;
+let loadError = null;
+
+/**
+ * Read a config or preset YAML into a flat name -> value map
+ * @throws {Error} If it is not YAML, or not a mapping
+ */
+export function parseConfigYaml(text) {
+  const parsed = parseYaml(text);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('A config file must be a mapping of names to values');
+  }
+  return parsed;
+}
+
+/**
+ * Bring back the config loaded in an earlier visit, if it still parses
+ */
+function restoreLocalConfig() {
+  try {
+    const stored = JSON.parse(readStored(LOCAL_CONFIG_KEY));
+    return stored ? { fileName: stored.fileName, values: parseConfigYaml(stored.text) } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * List the networks a spec.json carries, mainnet first
+ * @param {Object} data - The spec data, keyed by network then fork
+ * @returns {string[]}
+ */
+export function getDataNetworks(data) {
+  if (!data) return [];
+  // Other top-level keys, like execution-specs' forkOrder, are not networks
+  const networks = Object.keys(data).filter(key =>
+    data[key] && typeof data[key] === 'object' && !Array.isArray(data[key]));
+
+  const known = NETWORK_ORDER.filter(network => networks.includes(network));
+  const others = networks.filter(network => !NETWORK_ORDER.includes(network)).sort();
+  return [...known, ...others];
+}
+
+/**
+ * Set the networks the loaded spec.json carries
+ */
+export function setAvailableNetworks(networks) {
+  networkState.available = networks.length > 0 ? networks : [PRIMARY_NETWORK];
+}
+
+/**
+ * The networks the loaded spec.json carries, mainnet first
+ */
+export function getAvailableNetworks() {
+  return networkState.available;
+}
+
+/**
+ * The networks value tables may show, in column order: mainnet, the picked
+ * networks, then the loaded config
+ */
+export function getShownNetworks() {
+  const shown = networkState.available.filter(network =>
+    network === PRIMARY_NETWORK || !networkState.hidden.has(network));
+  if (networkState.local) shown.push(LOCAL_NETWORK);
+  return shown;
+}
+
+/**
+ * Column heading for a network
+ */
+export function getNetworkLabel(network) {
+  if (network === LOCAL_NETWORK && networkState.local) return networkState.local.fileName;
+  return network.charAt(0).toUpperCase() + network.slice(1);
+}
+
+/**
+ * A value from the loaded config
+ * @returns {string|undefined} The value as written, with lists and mappings
+ *   as JSON; undefined if no config is loaded or it does not set the name
+ */
+export function getLocalConfigValue(name) {
+  if (!networkState.local || !Object.prototype.hasOwnProperty.call(networkState.local.values, name)) {
+    return undefined;
+  }
+  const value = networkState.local.values[name];
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Load a config YAML to compare against
+ * @param {string} fileName - Shown as the config's column heading
+ * @param {string} text - The YAML
+ * @throws {Error} If the YAML cannot be read
+ */
+export function loadLocalConfig(fileName, text) {
+  networkState.local = { fileName, values: parseConfigYaml(text) };
+  writeStored(LOCAL_CONFIG_KEY, JSON.stringify({ fileName, text }));
+}
+
+/**
+ * Stop comparing against the loaded config
+ */
+export function clearLocalConfig() {
+  networkState.local = null;
+  loadError = null;
+  writeStored(LOCAL_CONFIG_KEY, null);
+}
+
+/**
+ * Build the option loading a config YAML from disk
+ */
+function createConfigLoader(onChange) {
+  const label = document.createElement('label');
+  label.className = 'network-option network-config-load';
+  label.title = 'Compare configs against a YAML config file, e.g. a testnet\'s config.yaml';
+
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.yaml,.yml';
+  input.className = 'hidden';
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (!file) return;
+    try {
+      loadLocalConfig(file.name, await file.text());
+      loadError = null;
+    } catch (err) {
+      loadError = `${file.name}: ${err.message}`;
+    }
+    onChange();
+  });
+
+  label.appendChild(input);
+  label.insertAdjacentHTML('beforeend', '<i class="fas fa-file-import"></i> Load config YAML...');
+  return label;
+}
+
+/**
+ * Build the network menu for value tables
+ * @param {Function} onChange - Called after the choice changes, to re-render
+ * @returns {HTMLElement}
+ */
+export function createNetworkMenu(onChange) {
+  const menu = document.createElement('details');
+  menu.className = 'network-menu';
+  menu.open = menuOpen;
+  menu.addEventListener('toggle', () => {
+    menuOpen = menu.open;
+  });
+
+  const summary = document.createElement('summary');
+  summary.className = 'network-menu-summary';
+  summary.title = 'Choose which networks to show';
+  const count = getShownNetworks().length;
+  summary.innerHTML = `<i class="fas fa-network-wired"></i> ${count} ${count === 1 ? 'network' : 'networks'}`;
+  menu.appendChild(summary);
+
+  const list = document.createElement('div');
+  list.className = 'network-options';
+
+  networkState.available.forEach(network => {
+    const label = document.createElement('label');
+    label.className = 'network-option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = network === PRIMARY_NETWORK || !networkState.hidden.has(network);
+    // Everything else is compared against mainnet, so it cannot be hidden
+    checkbox.disabled = network === PRIMARY_NETWORK;
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        networkState.hidden.delete(network);
+      } else {
+        networkState.hidden.add(network);
+      }
+      writeStored(HIDDEN_NETWORKS_KEY, Array.from(networkState.hidden).join(','));
+      onChange();
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(getNetworkLabel(network)));
+    list.appendChild(label);
+  });
+
+  if (networkState.local) {
+    const loaded = document.createElement('div');
+    loaded.className = 'network-option network-config-loaded';
+    loaded.innerHTML = `<i class="fas fa-file-lines"></i> <span>${escapeHtml(networkState.local.fileName)}</span>`;
+
+    const remove = document.createElement('button');
+    remove.className = 'network-config-remove';
+    remove.title = 'Stop comparing against this file';
+    remove.innerHTML = '<i class="fas fa-xmark"></i>';
+    remove.addEventListener('click', () => {
+      clearLocalConfig();
+      onChange();
+    });
+
+    loaded.appendChild(remove);
+    list.appendChild(loaded);
+  }
+
+  list.appendChild(createConfigLoader(onChange));
+
+  if (loadError) {
+    const error = document.createElement('div');
+    error.className = 'network-menu-error';
+    error.textContent = loadError;
+    list.appendChild(error);
+  }
+
+  menu.appendChild(list);
+  return menu;
+}
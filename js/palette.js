@@ -0,0 +1,220 @@
+/**
+ * Command palette - jump to any item, version, repo or action from the keyboard
+ *
+ * The palette knows nothing about the app; main.js hands it a function that
+ * lists the commands available right now, and each command runs itself.
+ */
+
+import { fuzzyScore } from './query.js';
+import { escapeHtml } from './utils.js';
+
+// Most results to render at once; the list is for picking, not browsing
+const MAX_RESULTS = 50;
+
+let overlay = null;
+let input = null;
+let resultsList = null;
+let getCommands = () => [];
+let results = [];
+let selectedIndex = 0;
+let restoreFocus = null;
+
+/**
+ * Create the palette markup on first use
+ */
+function createPalette() {
+  overlay = document.createElement('div');
+  overlay.className = 'palette-overlay hidden';
+
+  const palette = document.createElement('div');
+  palette.className = 'palette';
+  palette.setAttribute('role', 'dialog');
+  palette.setAttribute('aria-label', 'Command palette');
+
+  input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'palette-input';
+  input.placeholder = 'Jump to an item, version, repo or action...';
+  input.spellcheck = false;
+  input.setAttribute('aria-label', 'Command');
+
+  resultsList = document.createElement('div');
+  resultsList.className = 'palette-results';
+  resultsList.setAttribute('role', 'listbox');
+
+  const footer = document.createElement('div');
+  footer.className = 'palette-footer';
+  footer.innerHTML = `
+    <span><kbd>↑</kbd><kbd>↓</kbd> move</span>
+    <span><kbd>Enter</kbd> run</span>
+    <span><kbd>Esc</kbd> close</span>
+  `;
+
+  palette.appendChild(input);
+  palette.appendChild(resultsList);
+  palette.appendChild(footer);
+  overlay.appendChild(palette);
+  document.body.appendChild(overlay);
+
+  input.addEventListener('input', () => updateResults());
+  input.addEventListener('keydown', onInputKeydown);
+
+  // Clicking outside the palette closes it
+  overlay.addEventListener('mousedown', (e) => {
+    if (e.target === overlay) closePalette();
+  });
+}
+
+/**
+ * Rank the commands against what has been typed
+ *
+ * With nothing typed, only commands marked `suggested` are listed, in their
+ * given order; the item list is too long to be useful unfiltered.
+ */
+function rankCommands(text) {
+  const commands = getCommands();
+  const pattern = text.trim().toLowerCase();
+
+  if (!pattern) {
+    return commands.filter(command => command.suggested).slice(0, MAX_RESULTS);
+  }
+
+  return commands
+    .map(command => ({ command, score: fuzzyScore(pattern, command.label) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS)
+    .map(({ command }) => command);
+}
+
+/**
+ * Re-rank and re-render the results list
+ */
+function updateResults() {
+  results = rankCommands(input.value);
+  selectedIndex = 0;
+  renderResults();
+}
+
+/**
+ * Render the results list, marking the selected row
+ */
+function renderResults() {
+  resultsList.innerHTML = '';
+
+  if (results.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'palette-empty';
+    empty.textContent = 'No matches';
+    resultsList.appendChild(empty);
+    return;
+  }
+
+  results.forEach((command, index) => {
+    const row = document.createElement('div');
+    row.className = 'palette-result';
+    row.setAttribute('role', 'option');
+
+    row.innerHTML = `
+      <i class="fas ${command.icon || 'fa-angle-right'} palette-result-icon"></i>
+      <span class="palette-result-label">${escapeHtml(command.label)}</span>
+      <span class="palette-result-group">${escapeHtml(command.group)}</span>
+    `;
+
+    row.addEventListener('mousemove', () => {
+      if (selectedIndex !== index) setSelected(index, false);
+    });
+    row.addEventListener('click', () => runCommand(command));
+    resultsList.appendChild(row);
+  });
+
+  setSelected(selectedIndex, true);
+}
+
+/**
+ * Move the selection to a result row
+ * @param {boolean} reveal - Scroll the row into view, for keyboard moves
+ */
+function setSelected(index, reveal) {
+  selectedIndex = index;
+  resultsList.querySelectorAll('.palette-result').forEach((row, i) => {
+    row.classList.toggle('selected', i === index);
+    row.setAttribute('aria-selected', String(i === index));
+  });
+
+  const selected = resultsList.querySelector('.palette-result.selected');
+  if (reveal && selected && selected.scrollIntoView) {
+    selected.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+/**
+ * Handle navigation keys in the palette input
+ */
+function onInputKeydown(e) {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (results.length === 0) return;
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    setSelected((selectedIndex + step + results.length) % results.length, true);
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    if (results[selectedIndex]) runCommand(results[selectedIndex]);
+  } else if (e.key === 'Escape') {
+    // Escape is also bound to closing the mobile sidebar
+    e.preventDefault();
+    e.stopPropagation();
+    closePalette();
+  }
+}
+
+/**
+ * Close the palette and run a command
+ */
+function runCommand(command) {
+  // Commands may move focus themselves (e.g. selecting an item), so do not
+  // hand it back to where the palette was opened from
+  restoreFocus = null;
+  closePalette();
+  command.run();
+}
+
+/**
+ * Set up the palette
+ * @param {Function} commandsProvider - Returns the commands available now, as
+ *   Array<{label, group, icon?, suggested?, run}>
+ */
+export function initCommandPalette(commandsProvider) {
+  getCommands = commandsProvider;
+}
+
+/**
+ * Whether the palette is open
+ */
+export function isPaletteOpen() {
+  return overlay !== null && !overlay.classList.contains('hidden');
+}
+
+/**
+ * Open the palette with an empty query
+ */
+export function openPalette() {
+  if (!overlay) createPalette();
+
+  restoreFocus = document.activeElement;
+  overlay.classList.remove('hidden');
+  input.value = '';
+  updateResults();
+  input.focus();
+}
+
+/**
+ * Close the palette
+ */
+export function closePalette() {
+  if (!isPaletteOpen()) return;
+
+  overlay.classList.add('hidden');
+  if (restoreFocus && restoreFocus.focus) restoreFocus.focus();
+  restoreFocus = null;
+}
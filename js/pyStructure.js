@@ -0,0 +1,546 @@
+/**
+ * Structure-aware diffing of Python definitions
+ *
+ * Just enough of Python to compare two versions of a spec item by meaning
+ * rather than by line. Source is split into logical lines (joined across
+ * brackets and backslashes, comments dropped), nested into blocks by
+ * indentation, and each statement is reduced to its tokens, so reflowing an
+ * expression or adding a trailing comma changes nothing. `def` and `class`
+ * headers are broken down further into parameters, return types and bases.
+ *
+ * Anything the parser cannot follow makes it give up, and the caller falls
+ * back to a line diff. Relies on the jsdiff global (`Diff`) for aligning
+ * statement lists.
+ */
+
+// Strings (with any prefix) first so their contents stay one token, then
+// names and numbers, multi-character operators, and any other character
+const TOKEN_REGEX = /[rRbBuUfF]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|\w+|\*\*=?|\/\/=?|<<=?|>>=?|->|:=|[-+*/%@&|^<>=!]=|\S/g;
+
+const STRING_TOKEN_REGEX = /^[rRbBuUfF]{0,2}["']/;
+
+// Keywords whose statements end in a colon and own the block below them
+const BLOCK_KEYWORDS = new Set(['def', 'class', 'if', 'elif', 'else', 'for', 'while', 'try', 'except', 'finally', 'with', 'match', 'case']);
+
+const SIMPLE_KEYWORDS = new Set(['return', 'assert', 'raise', 'yield', 'pass', 'break', 'continue', 'del', 'import', 'from', 'global', 'nonlocal']);
+
+// Operators that make a statement an (augmented) assignment at the top level
+const ASSIGN_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '//=', '%=', '**=', '&=', '|=', '^=', '<<=', '>>=', '@=', ':=']);
+
+// How each kind of statement is named in change descriptions
+const KIND_LABELS = {
+  def: 'Function',
+  class: 'Class',
+  if: 'Branch',
+  elif: 'Branch',
+  else: 'Else branch',
+  for: 'Loop',
+  while: 'Loop',
+  try: 'Try block',
+  except: 'Exception handler',
+  finally: 'Finally block',
+  with: 'With block',
+  return: 'Return',
+  assert: 'Assert',
+  raise: 'Raise',
+  yield: 'Yield',
+  assign: 'Assignment',
+  field: 'Field',
+  docstring: 'Docstring'
+};
+
+// Longest context entry, e.g. a long `if` condition, before it is cut short
+const MAX_CONTEXT_LENGTH = 40;
+
+/**
+ * Split source into logical lines, dropping comments and blank lines
+ * @returns {Array<{indent: number, text: string}>|null} Null if brackets or
+ *   strings do not balance
+ */
+function splitLogicalLines(code) {
+  const lines = [];
+  let text = '';
+  let depth = 0;
+  let delim = null;
+  let i = 0;
+
+  const flush = () => {
+    if (text.trim() !== '') {
+      lines.push({ indent: text.match(/^[ \t]*/)[0].length, text: text.trim() });
+    }
+    text = '';
+  };
+
+  while (i < code.length) {
+    const ch = code[i];
+
+    if (delim) {
+      if (ch === '\\') {
+        text += code.slice(i, i + 2);
+        i += 2;
+      } else if (code.startsWith(delim, i)) {
+        text += delim;
+        i += delim.length;
+        delim = null;
+      } else if (ch === '\n' && delim.length === 1) {
+        return null;
+      } else {
+        text += ch;
+        i++;
+      }
+      continue;
+    }
+
+    if (ch === '#') {
+      while (i < code.length && code[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      delim = code.startsWith(ch.repeat(3), i) ? ch.repeat(3) : ch;
+      text += delim;
+      i += delim.length;
+      continue;
+    }
+    if (ch === '\\' && code[i + 1] === '\n') {
+      text += ' ';
+      i += 2;
+      continue;
+    }
+
+    if ('([{'.includes(ch)) depth++;
+    if (')]}'.includes(ch) && --depth < 0) return null;
+
+    if (ch === '\n') {
+      if (depth === 0) flush();
+      else text += ' ';
+    } else {
+      text += ch;
+    }
+    i++;
+  }
+
+  if (delim || depth !== 0) return null;
+  flush();
+  return lines;
+}
+
+/**
+ * Tokenize a logical line, keeping each token's position for display
+ * @returns {Array<{value: string, start: number, end: number}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_REGEX.exec(text)) !== null) {
+    tokens.push({ value: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Reduce tokens to a comparison key that ignores layout: whitespace inside
+ * docstrings is collapsed and trailing commas before a closing bracket drop
+ */
+function tokensKey(tokens) {
+  return tokens
+    .filter((token, i) => !(token.value === ',' && tokens[i + 1] && ')]}'.includes(tokens[i + 1].value)))
+    .map(token => (/^[rRbBuUfF]{0,2}("""|''')/.test(token.value) ? token.value.replace(/\s+/g, ' ') : token.value))
+    .join(' ');
+}
+
+/**
+ * Show a run of tokens as written, on one line
+ */
+function tokensText(text, tokens) {
+  if (tokens.length === 0) return '';
+  return text.slice(tokens[0].start, tokens[tokens.length - 1].end)
+    .replace(/\s+/g, ' ')
+    .replace(/([([{]) /g, '$1')
+    .replace(/,? ([)\]}])/g, '$1');
+}
+
+/**
+ * Split tokens on commas outside any brackets
+ */
+function splitTopLevel(tokens, separator = ',') {
+  const groups = [[]];
+  let depth = 0;
+  tokens.forEach(token => {
+    if ('([{'.includes(token.value)) depth++;
+    if (')]}'.includes(token.value)) depth--;
+    if (depth === 0 && token.value === separator) {
+      groups.push([]);
+    } else {
+      groups[groups.length - 1].push(token);
+    }
+  });
+  return groups.filter(group => group.length > 0);
+}
+
+/**
+ * Find the first token outside any brackets matching a test
+ * @returns {number} Its index, or -1
+ */
+function findTopLevel(tokens, test) {
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const value = tokens[i].value;
+    if (depth === 0 && test(value)) return i;
+    if ('([{'.includes(value)) depth++;
+    if (')]}'.includes(value)) depth--;
+  }
+  return -1;
+}
+
+/**
+ * Find the bracket closing the one at an index
+ */
+function findClosing(tokens, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < tokens.length; i++) {
+    if ('([{'.includes(tokens[i].value)) depth++;
+    if (')]}'.includes(tokens[i].value) && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Break a `def` header into its name, parameters and return type
+ */
+function parseSignature(text, tokens) {
+  const nameIndex = tokens.findIndex(token => token.value === 'def') + 1;
+  const open = nameIndex + 1;
+  const close = findClosing(tokens, open);
+  if (close === -1) return null;
+
+  const params = splitTopLevel(tokens.slice(open + 1, close)).map(paramTokens => {
+    const colon = findTopLevel(paramTokens, value => value === ':');
+    const equals = findTopLevel(paramTokens, value => value === '=');
+    const nameEnd = colon !== -1 ? colon : equals !== -1 ? equals : paramTokens.length;
+    const annotationEnd = equals !== -1 ? equals : paramTokens.length;
+    return {
+      name: paramTokens.slice(0, nameEnd).map(token => token.value).join(''),
+      annotation: colon !== -1 ? tokensText(text, paramTokens.slice(colon + 1, annotationEnd)) : '',
+      default: equals !== -1 ? tokensText(text, paramTokens.slice(equals + 1)) : '',
+      text: tokensText(text, paramTokens)
+    };
+  });
+
+  const arrow = tokens.findIndex((token, i) => i > close && token.value === '->');
+  return {
+    name: tokens[nameIndex] ? tokens[nameIndex].value : '',
+    params,
+    returns: arrow !== -1 ? tokensText(text, tokens.slice(arrow + 1, -1)) : ''
+  };
+}
+
+/**
+ * Work out what kind of statement a logical line is
+ */
+function classify(tokens) {
+  const first = tokens[0].value;
+  const keyword = first === 'async' && tokens[1] ? tokens[1].value : first;
+
+  if (BLOCK_KEYWORDS.has(keyword)) return keyword;
+  if (SIMPLE_KEYWORDS.has(keyword)) return keyword;
+  if (tokens.length === 1 && STRING_TOKEN_REGEX.test(first)) return 'docstring';
+
+  const assignAt = findTopLevel(tokens, value => ASSIGN_OPERATORS.has(value));
+  const colonAt = findTopLevel(tokens, value => value === ':');
+  if (colonAt > 0 && (assignAt === -1 || colonAt < assignAt)) return 'field';
+  if (assignAt > 0) return 'assign';
+  return 'expression';
+}
+
+/**
+ * Build a statement from a logical line
+ */
+function createStatement({ indent, text }) {
+  const tokens = tokenize(text);
+  const kind = classify(tokens);
+  const last = tokens[tokens.length - 1].value;
+
+  const statement = {
+    kind,
+    indent,
+    text: tokensText(text, tokens),
+    key: tokensKey(tokens),
+    // What makes two versions the same statement, for the kinds that have
+    // a name or target
+    identity: null,
+    opensBlock: BLOCK_KEYWORDS.has(kind) && last === ':',
+    children: []
+  };
+
+  if (kind === 'def') {
+    statement.signature = parseSignature(text, tokens);
+    if (!statement.signature) return null;
+    statement.identity = statement.signature.name;
+  } else if (kind === 'class') {
+    statement.identity = tokens[1] ? tokens[1].value : null;
+    const open = tokens.findIndex(token => token.value === '(');
+    statement.bases = open !== -1 ? tokensText(text, tokens.slice(open + 1, findClosing(tokens, open))) : '';
+  } else if (kind === 'assign' || kind === 'field') {
+    const end = findTopLevel(tokens, value => ASSIGN_OPERATORS.has(value) || value === ':');
+    statement.identity = tokensKey(tokens.slice(0, end));
+  } else if (kind === 'for') {
+    const inAt = tokens.findIndex(token => token.value === 'in');
+    statement.identity = tokensKey(tokens.slice(1, inAt));
+  }
+
+  return statement;
+}
+
+/**
+ * Parse Python source into a statement tree
+ * @returns {Array<Object>|null} The top-level statements, or null if the
+ *   source could not be followed
+ */
+export function parsePythonStructure(code) {
+  const lines = splitLogicalLines(code);
+  if (!lines) return null;
+
+  const root = { children: [] };
+  const stack = [{ indent: -1, statement: root, blockIndent: null }];
+
+  for (const line of lines) {
+    while (line.indent <= stack[stack.length - 1].indent) stack.pop();
+
+    // A block's statements have to line up
+    const parent = stack[stack.length - 1];
+    if (parent.blockIndent === null) {
+      parent.blockIndent = line.indent;
+    } else if (parent.blockIndent !== line.indent) {
+      return null;
+    }
+
+    const statement = createStatement(line);
+    if (!statement) return null;
+    parent.statement.children.push(statement);
+    if (statement.opensBlock) {
+      stack.push({ indent: line.indent, statement, blockIndent: null });
+    }
+  }
+
+  const finalize = statement => {
+    statement.children.forEach(finalize);
+    statement.fullKey = `${statement.key}{${statement.children.map(child => child.fullKey).join(';')}}`;
+  };
+  root.children.forEach(finalize);
+
+  return root.children;
+}
+
+/**
+ * Name a statement for the "where" of a change
+ */
+function describeContext(statement) {
+  if (statement.kind === 'def') return `${statement.signature.name}()`;
+  if (statement.kind === 'class') return statement.identity;
+
+  const text = statement.text.replace(/:$/, '');
+  return text.length > MAX_CONTEXT_LENGTH ? `${text.slice(0, MAX_CONTEXT_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Label for adding or removing a statement
+ */
+function describePresence(statement, added) {
+  const { kind } = statement;
+  if (added && (kind === 'if' || kind === 'elif')) return 'New branch';
+  if (kind === 'expression') {
+    const isCall = /\w\s*\(/.test(statement.text);
+    return `${isCall ? 'Call' : 'Statement'} ${added ? 'added' : 'removed'}`;
+  }
+  return `${KIND_LABELS[kind] || 'Statement'} ${added ? 'added' : 'removed'}`;
+}
+
+/**
+ * Label for a statement whose own line changed
+ */
+function describeChange(kind, text) {
+  if (kind === 'if' || kind === 'elif' || kind === 'while') return 'Condition changed';
+  if (kind === 'return') return 'Return value changed';
+  if (kind === 'field') return 'Field type changed';
+  if (kind === 'expression') return /\w\s*\(/.test(text) ? 'Call changed' : 'Statement changed';
+  return `${KIND_LABELS[kind] || 'Statement'} changed`;
+}
+
+/**
+ * Compare two `def` signatures parameter by parameter
+ */
+function diffSignatures(oldSig, newSig, context, changes) {
+  const push = (type, label, before, after) => changes.push({ type, label, before, after, context });
+  const start = changes.length;
+
+  if (oldSig.name !== newSig.name) push('changed', 'Function renamed', oldSig.name, newSig.name);
+
+  const oldParams = new Map(oldSig.params.map(param => [param.name, param]));
+  const newParams = new Map(newSig.params.map(param => [param.name, param]));
+
+  oldSig.params.forEach(param => {
+    if (!newParams.has(param.name)) push('removed', 'Parameter removed', param.text, null);
+  });
+  newSig.params.forEach(param => {
+    const old = oldParams.get(param.name);
+    if (!old) {
+      push('added', 'Parameter added', null, param.text);
+    } else if (old.annotation !== param.annotation) {
+      push('changed', 'Parameter type changed', old.text, param.text);
+    } else if (old.default !== param.default) {
+      push('changed', 'Default value changed', old.text, param.text);
+    }
+  });
+
+  const oldOrder = oldSig.params.map(param => param.name).filter(name => newParams.has(name));
+  const newOrder = newSig.params.map(param => param.name).filter(name => oldParams.has(name));
+  if (oldOrder.join(',') !== newOrder.join(',')) {
+    push('changed', 'Parameters reordered', oldOrder.join(', '), newOrder.join(', '));
+  }
+
+  if (oldSig.returns !== newSig.returns) {
+    push('changed', 'Return type changed', oldSig.returns || null, newSig.returns || null);
+  }
+
+  // Something in the header changed that the breakdown does not cover,
+  // e.g. `async`
+  if (changes.length === start) push('changed', 'Signature changed', null, null);
+}
+
+/**
+ * Compare two versions of the same statement, then their blocks
+ */
+function diffStatement(oldStatement, newStatement, path, changes) {
+  const context = path.map(describeContext).join(' › ');
+
+  if (oldStatement.key !== newStatement.key) {
+    if (newStatement.kind === 'def' && oldStatement.kind === 'def') {
+      // Parameters belong to the function itself
+      const signatureContext = [...path, newStatement].map(describeContext).join(' › ');
+      diffSignatures(oldStatement.signature, newStatement.signature, signatureContext, changes);
+    } else if (newStatement.kind === 'class' && oldStatement.bases !== newStatement.bases) {
+      changes.push({ type: 'changed', label: 'Base class changed', before: oldStatement.text, after: newStatement.text, context });
+    } else {
+      changes.push({
+        type: 'changed',
+        label: describeChange(newStatement.kind, newStatement.text),
+        before: oldStatement.text,
+        after: newStatement.text,
+        context
+      });
+    }
+  }
+
+  const childKeys = statement => statement.children.map(child => child.fullKey).join(';');
+  if (childKeys(oldStatement) !== childKeys(newStatement)) {
+    diffStatementLists(oldStatement.children, newStatement.children, [...path, newStatement], changes);
+  }
+}
+
+/**
+ * Compare two lists of sibling statements
+ *
+ * Statements are aligned as a sequence first, by name or target where they
+ * have one (a field, a function, an assignment), so a statement that changed
+ * still keeps its place. What is left over is paired up: statements that
+ * only changed place, then statements with the same name or target - which
+ * moved, and may have changed too - then statements of the same kind,
+ * replacing each other in place if possible. Changes come out in the order
+ * of the new code.
+ */
+function diffStatementLists(oldList, newList, path, changes) {
+  const context = path.map(describeContext).join(' › ');
+  const removed = [];
+  const added = [];
+  const entries = [];
+  let run = 0;
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  const sameStatement = (a, b) => (a.identity !== null || b.identity !== null)
+    ? a.kind === b.kind && a.identity === b.identity
+    : a.fullKey === b.fullKey;
+
+  Diff.diffArrays(oldList, newList, { comparator: sameStatement }).forEach(part => {
+    if (part.removed) {
+      part.value.forEach(statement => removed.push({ statement, run, order: newIndex - 0.5 }));
+      oldIndex += part.value.length;
+    } else if (part.added) {
+      part.value.forEach(statement => added.push({ statement, run, order: newIndex++ }));
+    } else {
+      // Aligned by name, but possibly changed
+      part.value.forEach(() => {
+        const statement = newList[newIndex];
+        const pair = { statement: oldList[oldIndex] };
+        if (pair.statement.fullKey !== statement.fullKey) entries.push({ statement, pair, order: newIndex });
+        oldIndex++;
+        newIndex++;
+      });
+      run++;
+    }
+  });
+
+  const pairUp = matches => {
+    added.forEach(entry => {
+      if (entry.pair) return;
+      const match = removed.find(candidate => !candidate.pair && matches(candidate, entry));
+      if (!match) return;
+      match.pair = entry;
+      entry.pair = match;
+    });
+  };
+
+  // Whatever pairs up by content or by name only changed place
+  pairUp((a, b) => a.statement.fullKey === b.statement.fullKey);
+  pairUp((a, b) => a.statement.identity !== null && a.statement.kind === b.statement.kind && a.statement.identity === b.statement.identity);
+  added.filter(entry => entry.pair).forEach(entry => {
+    entry.moved = true;
+  });
+  pairUp((a, b) => a.run === b.run && a.statement.kind === b.statement.kind);
+  pairUp((a, b) => a.statement.kind === b.statement.kind);
+
+  added.forEach(entry => entries.push(entry));
+  removed.filter(entry => !entry.pair).forEach(entry => entries.push(entry));
+  entries.sort((a, b) => a.order - b.order);
+
+  entries.forEach(entry => {
+    const { statement } = entry;
+    if (entry.moved) {
+      changes.push({ type: 'moved', label: `${KIND_LABELS[statement.kind] || 'Statement'} moved`, before: null, after: statement.text, context });
+    }
+    if (entry.pair) {
+      if (entry.pair.statement.fullKey !== statement.fullKey) {
+        diffStatement(entry.pair.statement, statement, path, changes);
+      }
+    } else {
+      const isAdded = added.includes(entry);
+      changes.push({
+        type: isAdded ? 'added' : 'removed',
+        label: describePresence(statement, isAdded),
+        before: isAdded ? null : statement.text,
+        after: isAdded ? statement.text : null,
+        context
+      });
+    }
+  });
+}
+
+/**
+ * Describe how a Python definition changed structurally
+ * @returns {Array<{type: string, label: string, before: string|null,
+ *   after: string|null, context: string}>|null} The changes, in the order
+ *   of the new code (`type` is added, removed, changed or moved), or null if
+ *   either side could not be parsed
+ */
+export function diffPythonStructure(oldCode, newCode) {
+  if (typeof Diff === 'undefined' || typeof Diff.diffArrays !== 'function') return null;
+
+  const oldStatements = parsePythonStructure(oldCode);
+  const newStatements = parsePythonStructure(newCode);
+  if (!oldStatements || !newStatements) return null;
+
+  const changes = [];
+  diffStatementLists(oldStatements, newStatements, [], changes);
+  return changes;
+}
@@ -0,0 +1,251 @@
+/**
+ * Sidebar search query language
+ *
+ * A query is whitespace-separated terms. `key:value` terms filter on item
+ * metadata, `/.../` is a regular expression, and anything else is matched
+ * fuzzily against item names (or as text against the source in source mode):
+ *
+ *   fork:electra        exists at electra
+ *   changed:fulu        changed in fulu (including being introduced there)
+ *   introduced:deneb    first appears in deneb
+ *   modified:fulu       changed in fulu, having existed before it
+ *   removed:electra     dropped in electra (`removed:..` for any fork)
+ *   cat:functions       in a category (key or display name, prefixes work)
+ *   uses:BeaconState    refers to BeaconState
+ *   usedby:process_epoch  is referred to by process_epoch
+ *
+ * A filter can list alternatives with commas (`changed:electra,fulu`) and
+ * forks can be given as a range (`changed:deneb..fulu`); all filters, and all
+ * regular expressions, have to match.
+ */
+
+import { getForkOrder, getForkDisplayName, getCategoryOrder, getCategoryDisplayName, existsAtFork } from './constants.js';
+import { resolveItemName, getItemNames, getUsedBy, getUses } from './references.js';
+
+// Regex literals first, so a pattern containing spaces stays one token
+const TOKEN_REGEX = /\/(?:\\.|[^/\\])+\/[a-z]*|\S+/g;
+
+const FILTER_KEYS = ['fork', 'changed', 'introduced', 'modified', 'removed', 'cat', 'uses', 'usedby'];
+
+const FORK_KEYS = ['fork', 'changed', 'introduced', 'modified', 'removed'];
+
+/**
+ * Resolve a fork as typed by the user to a fork key. Display names and
+ * unambiguous prefixes are accepted.
+ */
+function resolveFork(value) {
+  const lower = value.toLowerCase();
+  const forks = getForkOrder();
+  const exact = forks.find(fork => fork.toLowerCase() === lower || getForkDisplayName(fork).toLowerCase() === lower);
+  if (exact) return exact;
+
+  const prefixed = forks.filter(fork => fork.toLowerCase().startsWith(lower) || getForkDisplayName(fork).toLowerCase().startsWith(lower));
+  return prefixed.length === 1 ? prefixed[0] : null;
+}
+
+/**
+ * Resolve a fork or an inclusive `from..to` range of forks
+ * @returns {Array<string>|null} Fork keys, or null if either end is unknown
+ */
+function resolveForks(value) {
+  const [from, to] = value.split('..');
+  if (to === undefined) {
+    const fork = resolveFork(from);
+    return fork ? [fork] : null;
+  }
+
+  const forks = getForkOrder();
+  // An open end runs to the first or last fork
+  const start = from ? forks.indexOf(resolveFork(from)) : 0;
+  const end = to ? forks.indexOf(resolveFork(to)) : forks.length - 1;
+  if (start === -1 || end === -1) return null;
+  return forks.slice(Math.min(start, end), Math.max(start, end) + 1);
+}
+
+/**
+ * Resolve a category as typed by the user to a category key
+ */
+function resolveCategory(value) {
+  const lower = value.toLowerCase();
+  const categories = getCategoryOrder();
+  const exact = categories.find(category => category === lower || getCategoryDisplayName(category).toLowerCase() === lower);
+  if (exact) return exact;
+
+  const prefixed = categories.filter(category => category.startsWith(lower) || getCategoryDisplayName(category).toLowerCase().startsWith(lower));
+  return prefixed.length === 1 ? prefixed[0] : null;
+}
+
+/**
+ * Resolve an item name, falling back to a case-insensitive match so
+ * `uses:beaconstate` still works
+ */
+function resolveQueryItem(value) {
+  const resolved = resolveItemName(value);
+  if (resolved) return resolved;
+
+  const lower = value.toLowerCase();
+  return getItemNames().find(name => name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Build the predicate for one filter value
+ * @returns {Function|null} item => boolean, or null if the value is unknown
+ */
+function buildPredicate(key, value) {
+  if (FORK_KEYS.includes(key)) {
+    const forks = resolveForks(value);
+    if (!forks) return null;
+    if (key === 'fork') return item => forks.some(fork => existsAtFork(item, fork));
+    if (key === 'removed') return item => item.removals.some(removal => forks.includes(removal.from));
+    if (key === 'changed') return item => item.forks.some(fork => forks.includes(fork));
+    if (key === 'introduced') return item => forks.includes(item.forks[0]);
+    return item => item.forks.slice(1).some(fork => forks.includes(fork));
+  }
+
+  if (key === 'cat') {
+    const category = resolveCategory(value);
+    if (!category) return null;
+    return item => item.category === category;
+  }
+
+  const name = resolveQueryItem(value);
+  if (!name) return null;
+  const related = new Set(key === 'uses' ? getUsedBy(name) : getUses(name));
+  return item => related.has(item.name);
+}
+
+/**
+ * Compile a regex literal, defaulting to case-insensitive. The global and
+ * sticky flags are dropped since they make `test` stateful.
+ */
+function compileRegex(literal) {
+  const end = literal.lastIndexOf('/');
+  const source = literal.slice(1, end);
+  const flags = literal.slice(end + 1).replace(/[gy]/g, '');
+  return new RegExp(source, flags || 'i');
+}
+
+/**
+ * Parse a search query
+ *
+ * Item names are resolved against the tree as it is now, so parse again after
+ * the tree is rebuilt.
+ * @param {string} input - The query as typed
+ * @returns {{terms: Array<string>, regexes: Array<RegExp>, predicates: Array<Function>,
+ *   errors: Array<string>}} Lowercased plain terms, the regexes, one
+ *   predicate per filter, and messages for anything that did not parse
+ */
+export function parseQuery(input) {
+  const query = { terms: [], regexes: [], predicates: [], errors: [] };
+
+  (input.match(TOKEN_REGEX) || []).forEach(token => {
+    if (token.length > 2 && token.startsWith('/') && token.lastIndexOf('/') > 0) {
+      try {
+        query.regexes.push(compileRegex(token));
+      } catch (e) {
+        query.errors.push(`Invalid regular expression ${token}`);
+      }
+      return;
+    }
+
+    const colon = token.indexOf(':');
+    const key = colon > 0 ? token.slice(0, colon).toLowerCase() : null;
+    if (!key || !FILTER_KEYS.includes(key)) {
+      query.terms.push(token.toLowerCase());
+      return;
+    }
+
+    const values = token.slice(colon + 1).split(',').filter(Boolean);
+    // A bare `fork:` while typing does not filter yet
+    if (values.length === 0) return;
+
+    const alternatives = [];
+    values.forEach(value => {
+      const predicate = buildPredicate(key, value);
+      if (predicate) {
+        alternatives.push(predicate);
+      } else {
+        const kind = key === 'cat' ? 'category' : FORK_KEYS.includes(key) ? 'fork' : 'item';
+        query.errors.push(`Unknown ${kind} "${value}"`);
+      }
+    });
+
+    // An unknown value matches nothing, rather than silently widening the search
+    query.predicates.push(item => alternatives.some(predicate => predicate(item)));
+  });
+
+  return query;
+}
+
+/**
+ * Whether a query has nothing in it
+ */
+export function isEmptyQuery(query) {
+  return query.terms.length === 0 && query.regexes.length === 0 && query.predicates.length === 0;
+}
+
+/**
+ * Check an item against a query's filters
+ */
+export function matchesFilters(item, query) {
+  return query.predicates.every(predicate => predicate(item));
+}
+
+/**
+ * Get what source search looks for: the plain terms as one phrase, as typed,
+ * and each regex
+ * @returns {Array<string|RegExp>}
+ */
+export function getSourcePatterns(query) {
+  const patterns = query.terms.length > 0 ? [query.terms.join(' ')] : [];
+  return [...patterns, ...query.regexes];
+}
+
+/**
+ * Whether a character starts a word in an identifier
+ */
+function isWordStart(text, index) {
+  if (index === 0) return true;
+  const prev = text[index - 1];
+  if (prev === '_' || prev === '.') return true;
+  // camelCase boundary
+  return prev === prev.toLowerCase() && text[index] !== text[index].toLowerCase();
+}
+
+/**
+ * Score how well a typed pattern matches a name
+ *
+ * Substring matches always outrank scattered ones, with a bonus for a prefix
+ * and for an exact match. Otherwise the pattern has to appear in order, and
+ * characters that start a word or follow the previous match score higher, so
+ * `prcdep` ranks `process_deposit` above names it only happens to be spread
+ * across.
+ * @param {string} pattern - Lowercased pattern
+ * @param {string} name - Name to score
+ * @returns {number|null} Higher is better; null if it does not match at all
+ */
+export function fuzzyScore(pattern, name) {
+  if (!pattern) return 0;
+  const lower = name.toLowerCase();
+
+  const index = lower.indexOf(pattern);
+  if (index !== -1) {
+    let score = 1000 - lower.length;
+    if (index === 0) score += 200;
+    if (lower.length === pattern.length) score += 500;
+    return score;
+  }
+
+  let score = 0;
+  let lastMatch = -1;
+  for (const char of pattern) {
+    const found = lower.indexOf(char, lastMatch + 1);
+    if (found === -1) return null;
+
+    score += 1;
+    if (isWordStart(name, found)) score += 8;
+    if (found === lastMatch + 1) score += 5;
+    lastMatch = found;
+  }
+  return score - lower.length / 100;
+}
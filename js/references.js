@@ -15,9 +15,14 @@ const aliasIndex = new Map();
 // Short names claimed by more than one item; linking those would be a guess
 const ambiguousAliases = new Set();
 
-// Reverse reference index: maps item name -> Set of item names that use it
+// Reverse reference index: maps item name -> Map of item names that use it ->
+// Set of the user's recorded forks whose definition contains the reference
 const usedByIndex = new Map();
 
+// Forward reference index: maps item name -> Map of item names it uses ->
+// Set of its own recorded forks that contain the reference
+const usesIndex = new Map();
+
 // Navigation history - stores { name, fork } objects
 const navigationHistory = [];
 let historyPosition = -1;
@@ -91,6 +96,7 @@ export function clearRegistry() {
   aliasIndex.clear();
   ambiguousAliases.clear();
   usedByIndex.clear();
+  usesIndex.clear();
 }
 
 /**
@@ -109,12 +115,14 @@ export function clearHistory() {
  */
 export function buildUsedByIndex(items) {
   usedByIndex.clear();
+  usesIndex.clear();
 
   // First pass: ensure all item names have an entry in usedByIndex
   Object.values(items).forEach(categoryItems => {
     Object.values(categoryItems).forEach(item => {
       if (!usedByIndex.has(item.name)) {
-        usedByIndex.set(item.name, new Set());
+        usedByIndex.set(item.name, new Map());
+        usesIndex.set(item.name, new Map());
       }
     });
   });
@@ -126,28 +134,24 @@ export function buildUsedByIndex(items) {
     Object.values(categoryItems).forEach(item => {
       const sourceName = item.name;
 
-      // Get all the code/value content from this item
-      Object.values(item.values).forEach(value => {
+      // Get the code/value content of each recorded fork, in order, so the
+      // index knows which definitions hold each reference
+      item.forks.forEach(fork => {
+        const value = item.values[fork];
         let textContent = '';
 
         if (typeof value === 'string') {
           textContent = value;
         } else if (value && typeof value === 'object') {
-          // Handle variable format { mainnet, minimal }
-          if (value.mainnet) {
-            if (Array.isArray(value.mainnet)) {
-              textContent += ' ' + value.mainnet.join(' ');
-            } else {
-              textContent += ' ' + String(value.mainnet);
-            }
-          }
-          if (value.minimal) {
-            if (Array.isArray(value.minimal)) {
-              textContent += ' ' + value.minimal.join(' ');
+          // Handle variable format { network: value }
+          Object.values(value).forEach(networkValue => {
+            if (!networkValue) return;
+            if (Array.isArray(networkValue)) {
+              textContent += ' ' + networkValue.join(' ');
             } else {
-              textContent += ' ' + String(value.minimal);
+              textContent += ' ' + String(networkValue);
             }
-          }
+          });
         }
 
         // Find all identifiers in this content
@@ -161,7 +165,8 @@ export function buildUsedByIndex(items) {
           const targetName = resolveItemName(identifier);
 
           if (targetName && targetName !== sourceName && usedByIndex.has(targetName)) {
-            usedByIndex.get(targetName).add(sourceName);
+            addReferenceFork(usedByIndex.get(targetName), sourceName, fork);
+            addReferenceFork(usesIndex.get(sourceName), targetName, fork);
           }
         }
       });
@@ -169,6 +174,25 @@ export function buildUsedByIndex(items) {
   });
 }
 
+/**
+ * Record that a reference exists in a fork
+ * @param {Map} references - Item name -> Set of forks
+ */
+function addReferenceFork(references, name, fork) {
+  if (!references.has(name)) references.set(name, new Set());
+  references.get(name).add(fork);
+}
+
+/**
+ * List a reference map with its forks
+ */
+function listReferences(references) {
+  if (!references) return [];
+  return Array.from(references.entries())
+    .map(([name, forks]) => ({ name, forks: Array.from(forks) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
 /**
  * Parse fork name from a variable name
  * (e.g. MIN_PER_EPOCH_CHURN_LIMIT_ELECTRA -> MIN_PER_EPOCH_CHURN_LIMIT)
@@ -195,7 +219,47 @@ function parseForkNameInternal(varName) {
 export function getUsedBy(itemName) {
   const usedBy = usedByIndex.get(itemName);
   if (!usedBy) return [];
-  return Array.from(usedBy).sort();
+  return Array.from(usedBy.keys()).sort();
+}
+
+/**
+ * Get the items that use a given item, with the forks the references are in
+ * @param {string} itemName - The item name to look up
+ * @returns {Array<{name: string, forks: string[]}>} - Sorted by name; forks are
+ *   the using item's recorded forks whose definition holds the reference,
+ *   chronological
+ */
+export function getUsedByWithForks(itemName) {
+  return listReferences(usedByIndex.get(itemName));
+}
+
+/**
+ * Get the list of items a given item uses
+ * @param {string} itemName - The item name to look up
+ * @returns {string[]} - Array of item names this item refers to
+ */
+export function getUses(itemName) {
+  const uses = usesIndex.get(itemName);
+  if (!uses) return [];
+  return Array.from(uses.keys()).sort();
+}
+
+/**
+ * Get the items a given item uses, with the forks the references are in
+ * @param {string} itemName - The item name to look up
+ * @returns {Array<{name: string, forks: string[]}>} - Sorted by name; forks are
+ *   this item's recorded forks whose definition holds the reference,
+ *   chronological
+ */
+export function getUsesWithForks(itemName) {
+  return listReferences(usesIndex.get(itemName));
+}
+
+/**
+ * Get every registered item name
+ */
+export function getItemNames() {
+  return Array.from(itemRegistry.keys());
 }
 
 /**
@@ -410,8 +474,9 @@ export function navigateToReference(targetName, addHistory = true, preferredFork
 
 /**
  * Find the current fork being viewed by traversing up from an element
+ * @returns {string|null} The fork of the enclosing fork block, if any
  */
-function findCurrentFork(element) {
+export function findCurrentFork(element) {
   let current = element;
   while (current && current !== document.body) {
     if (current.classList && current.classList.contains('fork-code-block')) {
@@ -443,11 +508,14 @@ function getCurrentItemName() {
  */
 export function initReferenceClickHandler() {
   document.addEventListener('click', (e) => {
-    if (e.target.classList.contains('spec-reference')) {
-      const targetName = e.target.dataset.targetName;
+    // A search highlight can wrap part of a reference, so the click may land
+    // on an element inside it
+    const reference = e.target.closest ? e.target.closest('.spec-reference') : null;
+    if (reference) {
+      const targetName = reference.dataset.targetName;
       if (targetName) {
         // Find which fork the user is currently viewing
-        const currentFork = findCurrentFork(e.target);
+        const currentFork = findCurrentFork(reference);
 
         // Find the current item name and add it to history FIRST
         const currentItemName = getCurrentItemName();
@@ -0,0 +1,239 @@
+/**
+ * Full-text search over item source
+ *
+ * Name search only looks at the tree rows. Source search looks inside every
+ * fork's definition instead, so it can answer "what calls this" or "where is
+ * this constant asserted on". Each item's distinct lines are indexed once per
+ * tree build; a line that several forks share counts as one hit.
+ */
+
+import { splitHighlightedLines, revealDiffRow } from './forkDiff.js';
+
+// category/name -> Array of distinct trimmed source lines
+const sourceIndex = new Map();
+
+// Patterns the viewer highlights, empty when source search is off
+let activePatterns = [];
+
+/**
+ * Key an item by category as well as name, since names can repeat across
+ * categories
+ */
+function indexKey(category, name) {
+  return `${category}/${name}`;
+}
+
+/**
+ * Get the searchable text of every recorded fork of an item
+ */
+function itemSourceTexts(item) {
+  return Object.values(item.values).map(value => {
+    if (typeof value === 'string') return value;
+    if (value && typeof value === 'object') {
+      // Variables are { network: [type, value, ...] }
+      return Object.values(value)
+        .map(networkValue => Array.isArray(networkValue) ? networkValue.join(' ') : String(networkValue ?? ''))
+        .join('\n');
+    }
+    return String(value ?? '');
+  });
+}
+
+/**
+ * Index the source of every item
+ * @param {Object} items - The items object from collectItems (category -> name -> item)
+ */
+export function buildSourceIndex(items) {
+  sourceIndex.clear();
+
+  Object.values(items).forEach(categoryItems => {
+    Object.values(categoryItems).forEach(item => {
+      const lines = new Set();
+      itemSourceTexts(item).forEach(text => {
+        text.split('\n').forEach(line => {
+          const trimmed = line.trim();
+          if (trimmed) lines.add(trimmed);
+        });
+      });
+      sourceIndex.set(indexKey(item.category, item.name), Array.from(lines));
+    });
+  });
+}
+
+/**
+ * Test a line against a pattern. Strings are lowercased search terms and
+ * match case-insensitively; regular expressions are used as given.
+ */
+function lineMatches(line, pattern) {
+  if (typeof pattern === 'string') return line.toLowerCase().includes(pattern);
+  return pattern.test(line);
+}
+
+/**
+ * Count the distinct source lines of an item that match the patterns
+ *
+ * Every pattern has to match somewhere in the item; a line counts once however
+ * many patterns it matches.
+ * @param {Array<string|RegExp>} patterns - Lowercased terms and/or regexes
+ * @returns {number} Matching lines, or 0 if any pattern is missing
+ */
+export function countSourceHits(category, name, patterns) {
+  const lines = sourceIndex.get(indexKey(category, name));
+  if (!lines || patterns.length === 0) return 0;
+
+  const found = new Set();
+  let hits = 0;
+  lines.forEach(line => {
+    let lineHit = false;
+    patterns.forEach(pattern => {
+      if (lineMatches(line, pattern)) {
+        found.add(pattern);
+        lineHit = true;
+      }
+    });
+    if (lineHit) hits++;
+  });
+
+  return found.size === patterns.length ? hits : 0;
+}
+
+/**
+ * Set the patterns the viewer should highlight (empty to turn highlighting off)
+ * @param {Array<string|RegExp>} patterns
+ */
+export function setSourceSearchPatterns(patterns) {
+  activePatterns = patterns;
+}
+
+/**
+ * Find where a pattern matches in a piece of text
+ * @returns {Array<[number, number]>} Start/end offsets, in order
+ */
+function findMatchRanges(text, pattern) {
+  const ranges = [];
+
+  if (typeof pattern === 'string') {
+    const lower = text.toLowerCase();
+    let index = lower.indexOf(pattern);
+    while (index !== -1) {
+      ranges.push([index, index + pattern.length]);
+      index = lower.indexOf(pattern, index + pattern.length);
+    }
+    return ranges;
+  }
+
+  const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+  let match;
+  while ((match = global.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      // Empty matches would never advance
+      global.lastIndex++;
+      continue;
+    }
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+/**
+ * Wrap every match of a pattern in the text nodes under an element
+ *
+ * Matches that straddle a syntax token boundary are left unmarked; the line
+ * highlight still shows them.
+ */
+function markPattern(root, pattern) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
+  const textNodes = [];
+  let node;
+  while ((node = walker.nextNode())) {
+    textNodes.push(node);
+  }
+
+  textNodes.forEach(textNode => {
+    const text = textNode.textContent;
+    const ranges = findMatchRanges(text, pattern);
+    if (ranges.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > lastIndex) {
+        fragment.appendChild(document.createTextNode(text.substring(lastIndex, start)));
+      }
+      const mark = document.createElement('mark');
+      mark.className = 'search-hit';
+      mark.textContent = text.substring(start, end);
+      fragment.appendChild(mark);
+      lastIndex = end;
+    });
+    if (lastIndex < text.length) {
+      fragment.appendChild(document.createTextNode(text.substring(lastIndex)));
+    }
+
+    textNode.parentNode.replaceChild(fragment, textNode);
+  });
+}
+
+/**
+ * Whether a rendered line of text matches any of the patterns
+ */
+function matchesAny(text, patterns) {
+  return patterns.some(pattern => lineMatches(text, pattern));
+}
+
+/**
+ * Highlight the lines matching the active source search in rendered fork blocks
+ *
+ * Plain code is split into per-line spans so a matching line can be shaded;
+ * diffs are already one row per line. Each block with hits gets a count in its
+ * header. Variable tables just have the matches marked.
+ * @param {HTMLElement} container - Content area holding the rendered item
+ */
+export function highlightSourceMatches(container) {
+  const patterns = activePatterns;
+  if (patterns.length === 0) return;
+
+  container.querySelectorAll('.variable-table tbody').forEach(tbody => {
+    patterns.forEach(pattern => markPattern(tbody, pattern));
+  });
+
+  container.querySelectorAll('.fork-code-block').forEach(block => {
+    let hits = 0;
+
+    block.querySelectorAll('code[class*="language-"]').forEach(code => {
+      const lines = splitHighlightedLines(code.innerHTML);
+      const probe = document.createElement('span');
+
+      code.innerHTML = lines.map(line => {
+        probe.innerHTML = line;
+        if (!matchesAny(probe.textContent, patterns)) return line;
+        hits++;
+        return `<span class="search-hit-line">${line}</span>`;
+      }).join('\n');
+    });
+
+    block.querySelectorAll('.diff-unified tr, .diff-split tr').forEach(row => {
+      // A split row has a content cell per side
+      const matched = Array.from(row.querySelectorAll('.diff-line-content'))
+        .some(content => matchesAny(content.textContent, patterns));
+      if (matched) {
+        row.classList.add('search-hit-row');
+        // A hit in folded context would otherwise go unseen
+        revealDiffRow(row);
+        hits++;
+      }
+    });
+
+    if (hits === 0) return;
+
+    const body = block.querySelector('.file-content');
+    patterns.forEach(pattern => markPattern(body, pattern));
+
+    const count = document.createElement('span');
+    count.className = 'search-hit-count';
+    count.textContent = `${hits} ${hits === 1 ? 'match' : 'matches'}`;
+    count.title = 'Lines matching the source search';
+    const header = block.querySelector('.file-header');
+    header.insertBefore(count, header.querySelector('.copy-link-icon'));
+  });
+}
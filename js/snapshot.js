@@ -0,0 +1,84 @@
+/**
+ * Fork snapshot - the spec as it stands at one fork
+ *
+ * With a fork picked, the tree only lists items that exist at that fork, and
+ * each item shows just the definition in effect there rather than its whole
+ * history. This is how the spec reads to someone implementing that fork.
+ *
+ * The pinned fork travels in the URL hash (`repo/version@fork/...`) rather
+ * than being stored, so a shared link opens at the same fork and a fresh visit
+ * starts with every fork shown.
+ */
+
+import { findEffectiveFork, existsAtFork } from './constants.js';
+
+// The fork the viewer is pinned to, or null to show every fork
+let snapshotFork = null;
+
+/**
+ * The fork the viewer is pinned to, or null
+ */
+export function getSnapshotFork() {
+  return snapshotFork;
+}
+
+/**
+ * Pin the viewer to a fork, or show every fork again
+ * @param {string|null} fork
+ */
+export function setSnapshotFork(fork) {
+  snapshotFork = fork || null;
+}
+
+/**
+ * The version segment of a URL hash, carrying the pinned fork if there is one
+ * @param {string} version
+ * @returns {string} e.g. `nightly` or `nightly@altair`
+ */
+export function snapshotHashVersion(version) {
+  return snapshotFork ? `${version}@${snapshotFork.toLowerCase()}` : version;
+}
+
+/**
+ * Drop a pinned fork the loaded release does not have
+ * @param {string[]} forks - The release's forks
+ */
+export function keepSnapshotForkIn(forks) {
+  if (snapshotFork && !forks.includes(snapshotFork)) setSnapshotFork(null);
+}
+
+/**
+ * Whether the tree lists an item while pinned to a fork
+ */
+export function isInSnapshot(item) {
+  return !snapshotFork || existsAtFork(item, snapshotFork);
+}
+
+/**
+ * Narrow an item to the definition in effect at the pinned fork
+ * @returns {Object|null} The item with that one fork, the item itself when
+ *   nothing is pinned, or null if it does not exist at the pinned fork
+ */
+export function snapshotItem(item) {
+  if (!snapshotFork) return item;
+  if (!existsAtFork(item, snapshotFork)) return null;
+
+  const effectiveFork = findEffectiveFork(item.forks, snapshotFork);
+  return {
+    ...item,
+    forks: [effectiveFork],
+    values: { [effectiveFork]: item.values[effectiveFork] },
+    removals: [],
+    removedIn: undefined
+  };
+}
+
+/**
+ * Narrow the forks a section offers to the pinned one, if the item exists there
+ * @param {Object} item - The item the section is for
+ * @param {string[]} forks - The forks the section would offer
+ */
+export function limitToSnapshot(item, forks) {
+  if (!snapshotFork || !existsAtFork(item, snapshotFork)) return forks;
+  return [snapshotFork];
+}
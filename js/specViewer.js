@@ -2,50 +2,168 @@
  * Specification viewer module - displays selected items
  */
 
-import { getForkDisplayName, getForkColor, getForkShortLabel, getCategoryDisplayName, getForkOrder, isVariableCategory } from './constants.js';
-import { addClickableReferences, getUsedBy, navigateToReference } from './references.js';
-import { isDiffEnabled, createDiffControls, computeDiffStats, renderDiff, stripComments } from './forkDiff.js';
+import { getForkDisplayName, getForkColor, getForkShortLabel, getForkOrder, getCategoryDisplayName, isVariableCategory, findEffectiveFork, existsAtFork, findRemovalAt } from './constants.js';
+import { addClickableReferences, getUsedByWithForks, getUsesWithForks, getItemElement, navigateToReference } from './references.js';
+import { isDiffEnabled, createDiffControls, computeDiffStats, renderDiff, createHunkNavigation, getForkPair, keepForkPairFor, normalizeForDiff, describeIgnoredChanges } from './forkDiff.js';
 import { getActiveRepo } from './repos.js';
+import { isComparing, getBaselineVersion, getBaselineItem, alignReleaseForks } from './versionCompare.js';
+import { highlightSourceMatches } from './search.js';
+import { createCallGraphSection } from './callGraph.js';
+import { parseIntegerValue, describeNumericChange, describeValue, isValueFormattingEnabled, createValueFormatToggle, isByteStringType, valuesMatch } from './valueFormat.js';
+import { createSszSection } from './ssz.js';
+import { annotateAliasTypes, createAliasToggle, createAliasSection } from './aliases.js';
+import { createTimeline, markTimelineFork } from './timeline.js';
+import { getSnapshotFork, snapshotItem, snapshotHashVersion } from './snapshot.js';
+import { PRIMARY_NETWORK, LOCAL_NETWORK, getShownNetworks, getNetworkLabel, getLocalConfigValue, createNetworkMenu } from './networks.js';
+import { escapeHtml } from './utils.js';
 
 /**
- * Build the URL hash that links to an item, optionally at a specific fork
+ * Build the URL hash that links to an item, optionally at a specific fork or
+ * a `from..to` fork pair, keeping any pinned fork snapshot
  */
 function itemHash(item, fork) {
   const version = window.getCurrentVersion ? window.getCurrentVersion() : 'nightly';
-  const base = `${getActiveRepo().id}/${version}/${item.category}-${item.name}`;
+  const base = `${getActiveRepo().id}/${snapshotHashVersion(version)}/${item.category}-${item.name}`;
   return fork ? `${base}-${fork.toLowerCase()}` : base;
 }
 
 // Current item being displayed
 let currentItem = null;
 
+// Whether the Consumers and Dependencies lists only show references present
+// at the fork being read
+let referencesAtForkOnly = false;
+
+/**
+ * Get the fork the reader is looking at: the newest expanded fork block
+ * @returns {string|null} The fork, or null when that is the item's latest
+ *   definition (or nothing is expanded), which stands for the latest fork
+ */
+function getViewedFork(item) {
+  const openBlock = Array.from(document.querySelectorAll('#specContent .fork-code-block'))
+    .find(block => {
+      const content = block.querySelector('.file-content');
+      return content && !content.classList.contains('collapsed');
+    });
+  if (!openBlock || openBlock.dataset.fork === item.forks[item.forks.length - 1]) return null;
+  return openBlock.dataset.fork;
+}
+
 /**
- * Create a "Used by" section showing items that reference this item
- * @param {string} itemName - The name of the current item
- * @returns {HTMLElement|null} - The used by section element, or null if no usages
+ * Get the recorded forks of an item in the tree
  */
-function createUsedBySection(itemName) {
-  const usedBy = getUsedBy(itemName);
-  if (usedBy.length === 0) return null;
+function getTreeItemForks(name) {
+  const node = getItemElement(name);
+  return node && node._itemData ? node._itemData.forks : [];
+}
+
+/**
+ * Turn the recorded forks that hold a reference into the fork ranges the
+ * reference is present for
+ * @param {Array<string>} sourceForks - Recorded forks of the item holding the reference
+ * @param {Array<string>} referenceForks - Those of them whose definition has it
+ * @returns {Array<{from: string, to: string|null}>} `to` is the last fork of
+ *   the range, or null if the reference is still there
+ */
+function getReferenceRanges(sourceForks, referenceForks) {
+  const forkOrder = getForkOrder();
+  const ranges = [];
+  let open = null;
+
+  sourceForks.forEach(fork => {
+    const present = referenceForks.includes(fork);
+    if (present && !open) {
+      open = { from: fork, to: null };
+      ranges.push(open);
+    } else if (!present && open) {
+      open.to = forkOrder[forkOrder.indexOf(fork) - 1];
+      open = null;
+    }
+  });
+
+  return ranges;
+}
+
+/**
+ * Create the badge for one range of forks a reference is present for
+ */
+function createReferenceRangeBadge({ from, to }) {
+  const badge = document.createElement('span');
+  badge.className = 'used-by-fork';
+  badge.style.backgroundColor = getForkColor(from);
+  if (to === null) {
+    badge.textContent = `${getForkShortLabel(from)}+`;
+    badge.title = `Since ${getForkDisplayName(from)}`;
+  } else if (to === from) {
+    badge.textContent = getForkShortLabel(from);
+    badge.title = `Only in ${getForkDisplayName(from)}`;
+  } else {
+    badge.textContent = `${getForkShortLabel(from)}–${getForkShortLabel(to)}`;
+    badge.title = `From ${getForkDisplayName(from)} to ${getForkDisplayName(to)}`;
+  }
+  return badge;
+}
+
+/**
+ * Create a section listing items related to the current one, such as the
+ * items that use it
+ * @param {Array<{name, forks}>} references - From getUsedByWithForks or getUsesWithForks
+ * @param {Function} sourceForksOf - name => recorded forks of the item that
+ *   holds the reference
+ * @param {string|null} viewedFork - Fork to restrict to when that is on, or
+ *   null for the latest fork
+ * @returns {HTMLElement|null} - The section element, or null if there are no references
+ */
+function createReferenceSection(title, references, sourceForksOf, viewedFork) {
+  if (references.length === 0) return null;
+
+  const forkName = viewedFork ? getForkDisplayName(viewedFork) : 'the latest fork';
+  const isPresent = ref => {
+    const sourceForks = sourceForksOf(ref.name);
+    const effective = viewedFork ? findEffectiveFork(sourceForks, viewedFork) : sourceForks[sourceForks.length - 1];
+    return ref.forks.includes(effective);
+  };
+  const visible = referencesAtForkOnly ? references.filter(isPresent) : references;
 
   const section = document.createElement('div');
   section.className = 'used-by-section';
 
   const header = document.createElement('div');
   header.className = 'used-by-header';
-  header.innerHTML = `<span class="used-by-title">Consumers</span>`;
+  header.innerHTML = `<span class="used-by-title">${title}</span>`;
+
+  const filter = document.createElement('label');
+  filter.className = 'used-by-filter';
+  filter.title = 'Hide references that are not in the definition of the fork being read';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = referencesAtForkOnly;
+  checkbox.addEventListener('change', () => {
+    referencesAtForkOnly = checkbox.checked;
+    updateReferenceSections();
+  });
+  filter.appendChild(checkbox);
+  filter.appendChild(document.createTextNode(` Only in ${forkName}`));
+  header.appendChild(filter);
   section.appendChild(header);
 
   const list = document.createElement('div');
   list.className = 'used-by-list';
 
-  usedBy.forEach(refName => {
+  if (visible.length === 0) {
+    list.innerHTML = `<span class="used-by-empty">None in ${escapeHtml(forkName)}</span>`;
+  }
+
+  visible.forEach(ref => {
     const item = document.createElement('button');
     item.className = 'used-by-item';
-    item.innerHTML = `<code>${escapeHtml(refName)}</code>`;
-    item.title = `Jump to ${refName}`;
+    item.innerHTML = `<code>${escapeHtml(ref.name)}</code>`;
+    item.title = `Jump to ${ref.name}`;
+    getReferenceRanges(sourceForksOf(ref.name), ref.forks).forEach(range => {
+      item.appendChild(createReferenceRangeBadge(range));
+    });
     item.addEventListener('click', () => {
-      navigateToReference(refName, true);
+      navigateToReference(ref.name, true, viewedFork);
     });
     list.appendChild(item);
   });
@@ -54,6 +172,33 @@ function createUsedBySection(itemName) {
   return section;
 }
 
+/**
+ * Create the Consumers and Dependencies sections for an item
+ * @returns {HTMLElement} A wrapper holding whichever of the two apply
+ */
+function createReferenceSections(item) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'reference-sections';
+
+  const viewedFork = getViewedFork(item);
+  const consumers = createReferenceSection('Consumers', getUsedByWithForks(item.name), getTreeItemForks, viewedFork);
+  const dependencies = createReferenceSection('Dependencies', getUsesWithForks(item.name), () => item.forks, viewedFork);
+  if (consumers) wrapper.appendChild(consumers);
+  if (dependencies) wrapper.appendChild(dependencies);
+
+  return wrapper;
+}
+
+/**
+ * Rebuild the Consumers and Dependencies sections, after the fork being read
+ * or the fork restriction changes
+ */
+function updateReferenceSections() {
+  const existing = document.querySelector('#specContent .reference-sections');
+  if (!existing || !currentItem) return;
+  existing.replaceWith(createReferenceSections(currentItem));
+}
+
 /**
  * Remove the diff controls from the spec header
  */
@@ -64,9 +209,10 @@ function removeDiffControls() {
 
 /**
  * Re-render the item currently on screen, preserving which forks are expanded.
- * Used when a diff control changes the rendering.
+ * Used when a diff control or the release being compared against changes the
+ * rendering.
  */
-function rerenderCurrentItem() {
+export function rerenderCurrentItem() {
   if (!currentItem) return;
 
   const openForks = Array.from(document.querySelectorAll('#specContent .fork-code-block'))
@@ -78,24 +224,37 @@ function rerenderCurrentItem() {
 
   displaySpec(currentItem);
 
-  document.querySelectorAll('#specContent .fork-code-block').forEach(block => {
+  // A fork pair diff is the only block, so it always stays open; otherwise
+  // fall back to the newest block if none of the open forks is left
+  const blocks = Array.from(document.querySelectorAll('#specContent .fork-code-block'));
+  const keepsOpen = block => block.classList.contains('fork-pair-block') || openForks.includes(block.dataset.fork);
+  if (blocks.length > 0 && !blocks.some(keepsOpen)) openForks.push(blocks[0].dataset.fork);
+
+  blocks.forEach(block => {
     const content = block.querySelector('.file-content');
     const icon = block.querySelector('.file-toggle-icon');
     if (!content || !icon) return;
 
-    const shouldOpen = openForks.includes(block.dataset.fork);
+    const shouldOpen = keepsOpen(block);
     content.classList.toggle('collapsed', !shouldOpen);
     icon.className = shouldOpen
       ? 'fas fa-chevron-down file-toggle-icon'
       : 'fas fa-chevron-right file-toggle-icon';
   });
+  updateReferenceSections();
 }
 
 /**
  * Display a specification item
  */
-export function displaySpec(item) {
-  currentItem = item;
+export function displaySpec(fullItem) {
+  currentItem = fullItem;
+  keepForkPairFor(fullItem);
+
+  // While pinned to a fork, an item that exists there is shown only as it
+  // stands at that fork
+  const snapshotFork = getSnapshotFork();
+  const item = snapshotItem(fullItem) || fullItem;
 
   const title = document.getElementById('specTitle');
   const breadcrumb = document.getElementById('breadcrumb');
@@ -104,15 +263,21 @@ export function displaySpec(item) {
   // Set title as inline code
   title.innerHTML = `<code>${item.name}</code>`;
 
-  // Set breadcrumb
+  // Set breadcrumb. An item with no forks is one only the baseline release
+  // still has.
+  const introduced = fullItem.forks.length > 0
+    ? getForkDisplayName(fullItem.forks[0])
+    : `removed since ${escapeHtml(getBaselineVersion())}`;
   breadcrumb.innerHTML = `
     <span>${getCategoryDisplayName(item.category)}</span> /
-    <span>${getForkDisplayName(item.forks[0])}</span> /
+    <span>${introduced}</span> /
     <span>${item.name}</span>
   `;
 
-  // Update URL hash for direct linking (include repo and version)
-  history.replaceState(null, '', `#${itemHash(item)}`);
+  // Update URL hash for direct linking (include repo and version, and the
+  // fork pair being diffed)
+  const pair = isDiffEnabled() && !isComparing() ? getForkPair(item) : null;
+  history.replaceState(null, '', `#${itemHash(item, pair ? `${pair.from}..${pair.to}` : null)}`);
 
   // Clear existing content
   content.innerHTML = '';
@@ -120,11 +285,33 @@ export function displaySpec(item) {
   // Check if this is a variable type (constants, presets, config) or code type
   const isVariable = isVariableCategory(item.category);
 
-  // Fork diffing only applies to code items, and only once there are at least
-  // two recorded forks to compare
+  // Fork diffing needs at least two recorded forks to compare; for a variable
+  // it adds a change column, so there is nothing to pick beyond turning it
+  // on. While comparing releases every block is already a diff, against the
+  // baseline instead, so only the diff options are left to choose.
   removeDiffControls();
-  if (!isVariable && item.forks.length > 1) {
-    document.querySelector('.spec-header').appendChild(createDiffControls(rerenderCurrentItem));
+  if (isVariable && item.forks.length > 1 && !isComparing()) {
+    document.querySelector('.spec-header').appendChild(createDiffControls(rerenderCurrentItem, { toggleOnly: true }));
+  } else if (!isVariable && item.forks.length > 1 && !isComparing()) {
+    document.querySelector('.spec-header').appendChild(createDiffControls(rerenderCurrentItem, { item }));
+  } else if (!isVariable && isComparing()) {
+    document.querySelector('.spec-header').appendChild(createDiffControls(rerenderCurrentItem, { optionsOnly: true }));
+  }
+
+  if (fullItem.forks.length > 0) {
+    content.appendChild(createTimeline(fullItem, fork => selectTimelineFork(fullItem, fork)));
+  }
+
+  if (snapshotFork) {
+    content.appendChild(createSnapshotBanner(fullItem, snapshotFork));
+  }
+
+  if (item.removedIn) {
+    content.appendChild(createRemovedBanner(item));
+  }
+
+  if (isComparing()) {
+    content.appendChild(createReleaseBanner(item));
   }
 
   if (isVariable) {
@@ -133,11 +320,57 @@ export function displaySpec(item) {
     displayCode(item, content);
   }
 
-  // Add "Used by" section
-  const usedBySection = createUsedBySection(item.name);
-  if (usedBySection) {
-    content.appendChild(usedBySection);
+  // Show where a source search matched, before the consumers list is added
+  highlightSourceMatches(content);
+
+  const typeSection = createSszSection(item) || createAliasSection(item);
+  if (typeSection) {
+    content.appendChild(typeSection);
   }
+
+  // Add the "Consumers" and "Dependencies" sections
+  content.appendChild(createReferenceSections(item));
+
+  const callGraphSection = createCallGraphSection(item);
+  if (callGraphSection) {
+    content.appendChild(callGraphSection);
+  }
+
+  if (item !== fullItem) {
+    markTimelineFork(snapshotFork);
+  } else {
+    markTimelineFork(isVariable ? null : (getViewedFork(item) || item.forks[item.forks.length - 1]));
+  }
+}
+
+/**
+ * Open the definition in effect at a fork picked on the timeline, and link to
+ * it
+ */
+function selectTimelineFork(item, fork) {
+  const content = document.getElementById('specContent');
+
+  // While pinned to a fork, picking another one moves the pin
+  if (getSnapshotFork() && window.setSnapshotFork) {
+    window.setSnapshotFork(fork);
+    return;
+  }
+
+  // A fork pair diff is linked by its pair, and has only the one block
+  if (!content.querySelector('.fork-pair-block')) {
+    history.replaceState(null, '', `#${itemHash(item, fork)}`);
+  }
+
+  if (!isVariableCategory(item.category)) {
+    openForkInViewer(fork);
+    return;
+  }
+
+  // Variables have a row per change instead of blocks
+  const rows = Array.from(content.querySelectorAll('.variable-table tbody tr[data-fork]'));
+  const effectiveFork = findEffectiveFork(rows.map(row => row.dataset.fork), fork);
+  rows.forEach(row => row.classList.toggle('variable-row-selected', row.dataset.fork === effectiveFork));
+  markTimelineFork(fork);
 }
 
 /**
@@ -154,29 +387,125 @@ function parseVariableValue(value) {
 }
 
 /**
- * Check if mainnet and minimal values differ for any fork in the item
+ * Split a variable's per-fork value into parsed values by network, with the
+ * loaded config YAML's value, if it sets the item, as one more network
  */
-function hasNetworkDifferences(item) {
-  for (const fork of item.forks) {
-    const forkValue = item.values[fork];
-    if (forkValue && typeof forkValue === 'object' && ('mainnet' in forkValue || 'minimal' in forkValue)) {
-      const mainnetParsed = parseVariableValue(forkValue.mainnet);
-      const minimalParsed = parseVariableValue(forkValue.minimal);
-      if (String(mainnetParsed.value) !== String(minimalParsed.value)) {
-        return true;
-      }
-    }
+function parseNetworkValues(item, forkValue) {
+  const values = {};
+
+  // Handle both old format (single value) and new format ({ network: value })
+  if (forkValue && typeof forkValue === 'object' && !Array.isArray(forkValue)) {
+    Object.entries(forkValue).forEach(([network, value]) => {
+      if (value !== undefined) values[network] = parseVariableValue(value);
+    });
+  } else {
+    values[PRIMARY_NETWORK] = parseVariableValue(forkValue);
   }
-  return false;
+
+  // A config file carries values alone; the type is mainnet's
+  const localValue = item.category === 'config_vars' ? getLocalConfigValue(item.name) : undefined;
+  if (localValue !== undefined) {
+    const typeSource = values[PRIMARY_NETWORK] || Object.values(values)[0];
+    values[LOCAL_NETWORK] = { type: typeSource ? typeSource.type : '', value: localValue };
+  }
+
+  return values;
+}
+
+/**
+ * Whether a network's value differs from mainnet's. A network that does not
+ * set the item, such as a preset without the key, says nothing about it.
+ */
+function differsFromPrimary(values, network) {
+  const primary = values[PRIMARY_NETWORK];
+  const parsed = values[network];
+  if (!primary || !parsed) return false;
+  return !valuesMatch(primary.value, parsed.value, primary.type);
+}
+
+/**
+ * Pick the networks to show as columns for an item: mainnet, plus every
+ * shown network whose value differs from mainnet's at some fork
+ */
+function getItemNetworks(item) {
+  const shown = getShownNetworks();
+  const differing = shown.filter(network => network !== PRIMARY_NETWORK && item.forks.some(fork =>
+    differsFromPrimary(parseNetworkValues(item, item.values[fork]), network)));
+  return [PRIMARY_NETWORK, ...differing];
+}
+
+/**
+ * Look up a network's slot timing as of a fork, from the loaded presets and
+ * configs, for showing durations
+ */
+function getSlotTiming(network, fork) {
+  const read = name => {
+    const node = getItemElement(name);
+    const other = node ? node._itemData : null;
+    const effectiveFork = other ? findEffectiveFork(other.forks, fork) : null;
+    if (!effectiveFork) return null;
+    const values = parseNetworkValues(other, other.values[effectiveFork]);
+    const parsed = values[network] || values[PRIMARY_NETWORK];
+    return parsed ? parseIntegerValue(parsed.value) : null;
+  };
+  return { secondsPerSlot: read('SECONDS_PER_SLOT'), slotsPerEpoch: read('SLOTS_PER_EPOCH') };
+}
+
+/**
+ * Render a value's formatting notes, if formatting is on and there are any
+ */
+function formatValueNotes(item, parsed, network, fork) {
+  if (!isValueFormattingEnabled()) return '';
+  const notes = describeValue(item.name, parsed.type, parsed.value, getSlotTiming(network, fork));
+  if (notes.length === 0) return '';
+  return `<span class="value-notes">${notes.map(note => `<span class="value-note">${escapeHtml(note)}</span>`).join('')}</span>`;
+}
+
+/**
+ * Render how one network's value moved from the previous fork that changed
+ * the item: old -> new, and by how much for numbers
+ */
+function describeValueChange(before, after) {
+  if (!before || !after) {
+    return '<span class="value-change-none">&mdash;</span>';
+  }
+  if (String(before.value) === String(after.value)) {
+    return '<span class="value-change-none">unchanged</span>';
+  }
+
+  const oldNumber = isByteStringType(after.type) ? null : parseIntegerValue(before.value);
+  const newNumber = isByteStringType(after.type) ? null : parseIntegerValue(after.value);
+  const amount = oldNumber !== null && newNumber !== null ? describeNumericChange(oldNumber, newNumber) : null;
+
+  return `
+    <code>${escapeHtml(String(before.value))}</code>
+    <span class="value-change-arrow">&rarr;</span>
+    <code>${escapeHtml(String(after.value))}</code>
+    ${amount ? `<span class="value-change-amount">${escapeHtml(amount)}</span>` : ''}
+  `;
 }
 
 /**
  * Display a variable item (constants, presets, config)
- * Only shows forks where the value changed
+ * Only shows forks where the value changed. With diffing on, a change column
+ * compares each fork with the one before it.
  */
 function displayVariable(item, container) {
-  // Check if there are differences between mainnet and minimal
-  const hasDifferences = hasNetworkDifferences(item);
+  // Networks only get a column of their own where they differ from mainnet
+  const networks = getItemNetworks(item);
+  const hasDifferences = networks.length > 1;
+  const networkLabels = {};
+  networks.forEach(network => {
+    networkLabels[network] = escapeHtml(hasDifferences ? getNetworkLabel(network) : 'Value');
+  });
+
+  // While comparing releases, each row also carries the baseline's value at
+  // that fork, and the rows cover the forks either version changed it in
+  const comparing = isComparing();
+  const rows = comparing
+    ? alignReleaseForks(item, getBaselineItem(item))
+    : item.forks.map(fork => ({ fork, newValue: item.values[fork] }));
+  const showChanges = !comparing && isDiffEnabled() && item.forks.length > 1;
 
   // Create a table showing values across forks
   const box = document.createElement('div');
@@ -185,24 +514,17 @@ function displayVariable(item, container) {
   // Header with copy link button
   const header = document.createElement('div');
   header.className = 'variable-header';
-
-  const copyBtn = document.createElement('button');
-  copyBtn.className = 'copy-link-icon';
-  copyBtn.innerHTML = '<i class="fas fa-link"></i>';
-  copyBtn.title = 'Copy link to this item';
-  copyBtn.addEventListener('click', (e) => {
-    e.stopPropagation();
-    const url = new URL(window.location.href);
-    url.hash = itemHash(item);
-    navigator.clipboard.writeText(url.href).then(() => {
-      copyBtn.innerHTML = '<i class="fas fa-check"></i>';
-      setTimeout(() => {
-        copyBtn.innerHTML = '<i class="fas fa-link"></i>';
-      }, 1500);
-    });
-  });
-
-  header.appendChild(copyBtn);
+  header.appendChild(createNetworkMenu(rerenderCurrentItem));
+  header.appendChild(createValueFormatToggle(rerenderCurrentItem));
+  if (window.showExport) {
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'variable-export-btn';
+    exportBtn.innerHTML = '<i class="fas fa-file-export"></i>';
+    exportBtn.title = `Export all ${getCategoryDisplayName(item.category)} as a file`;
+    exportBtn.addEventListener('click', () => window.showExport(item.category));
+    header.appendChild(exportBtn);
+  }
+  header.appendChild(createCopyLinkButton(item));
   box.appendChild(header);
 
   const tableWrapper = document.createElement('div');
@@ -213,73 +535,86 @@ function displayVariable(item, container) {
 
   // Header - show separate columns only if values differ
   const thead = document.createElement('thead');
-  if (hasDifferences) {
-    thead.innerHTML = `
-      <tr>
-        <th>Fork</th>
-        <th>Type</th>
-        <th>Mainnet</th>
-        <th>Minimal</th>
-      </tr>
-    `;
-  } else {
-    thead.innerHTML = `
-      <tr>
-        <th>Fork</th>
-        <th>Type</th>
-        <th>Value</th>
-      </tr>
-    `;
-  }
+  const baselineHeaders = comparing
+    ? networks.map(network => `<th>${networkLabels[network]} in ${escapeHtml(getBaselineVersion())}</th>`).join('')
+    : '';
+  thead.innerHTML = `
+    <tr>
+      <th>Fork</th>
+      <th>Type</th>
+      ${networks.map(network => `<th>${networkLabels[network]}</th>`).join('')}
+      ${baselineHeaders}
+      ${showChanges ? '<th>Change</th>' : ''}
+    </tr>
+  `;
   table.appendChild(thead);
 
   // Body - show each fork's value (item.forks already only contains forks where value changed)
   const tbody = document.createElement('tbody');
 
-  // Reverse to show newest first
-  const forksReversed = [...item.forks].reverse();
+  // Reverse to show newest first, keeping track of each row's predecessor
+  rows.map((row, index) => ({ ...row, previous: rows[index - 1] || null })).reverse().forEach(({ fork, oldValue, newValue, previous }) => {
+    const current = newValue === null ? null : parseNetworkValues(item, newValue);
+    const baseline = oldValue === null || oldValue === undefined ? null : parseNetworkValues(item, oldValue);
 
-  forksReversed.forEach(fork => {
-    const forkValue = item.values[fork];
-
-    // Handle both old format (single value) and new format ({ mainnet, minimal })
-    let mainnetParsed, minimalParsed;
-    if (forkValue && typeof forkValue === 'object' && ('mainnet' in forkValue || 'minimal' in forkValue)) {
-      mainnetParsed = parseVariableValue(forkValue.mainnet);
-      minimalParsed = parseVariableValue(forkValue.minimal);
-    } else {
-      // Old format - same value for both
-      mainnetParsed = parseVariableValue(forkValue);
-      minimalParsed = mainnetParsed;
-    }
+    // Networks disagreeing is worth a second look in every row
+    const differing = current === null ? [] : networks.filter(network => differsFromPrimary(current, network));
 
     const row = document.createElement('tr');
+    row.dataset.fork = fork;
 
-    // Use mainnet type, or minimal if mainnet not available
-    const displayType = mainnetParsed.type || minimalParsed.type;
+    // Use mainnet type, or the first network that has one
+    const typeSource = current || baseline;
+    const displayType = networks.map(network => typeSource[network] && typeSource[network].type).find(Boolean);
     const typeCell = displayType ? `<code>${escapeHtml(displayType)}</code>` : 'N/A';
 
-    if (hasDifferences) {
-      row.innerHTML = `
-        <td>
-          <span class="fork-badge" style="background-color: ${getForkColor(fork)}">
-            ${getForkDisplayName(fork)}
-          </span>
-        </td>
-        <td>${typeCell}</td>
-        <td><code>${escapeHtml(String(mainnetParsed.value))}</code></td>
-        <td><code>${escapeHtml(String(minimalParsed.value))}</code></td>
-      `;
-    } else {
-      row.innerHTML = `
-        <td>
-          <span class="fork-badge" style="background-color: ${getForkColor(fork)}">
-            ${getForkDisplayName(fork)}
-          </span>
-        </td>
-        <td>${typeCell}</td>
-        <td><code>${escapeHtml(String(mainnetParsed.value))}</code></td>
-      `;
+    const valueCell = (parsed, className = '', notes = '') => parsed
+      ? `<td${className ? ` class="${className}"` : ''}><code>${escapeHtml(String(parsed.value))}</code>${notes}</td>`
+      : '<td class="release-value-missing">&mdash;</td>';
+
+    const currentCells = networks.map(network => {
+      const parsed = current && current[network];
+      if (current && !parsed) {
+        return `<td class="release-value-missing" title="${escapeHtml(getNetworkLabel(network))} does not set this">not set</td>`;
+      }
+      const notes = parsed ? formatValueNotes(item, parsed, network, fork) : '';
+      const differs = differing.includes(network) || (network === PRIMARY_NETWORK && differing.length > 0);
+      return valueCell(parsed, differs ? 'network-value-differs' : '', notes);
+    }).join('');
+    const baselineCells = comparing
+      ? networks.map(network => {
+        const before = baseline && baseline[network];
+        const after = current && current[network];
+        const changed = !before || !after || String(before.value) !== String(after.value);
+        return valueCell(before, changed ? 'release-value-changed' : '');
+      }).join('')
+      : '';
+
+    let changeCell = '';
+    if (showChanges) {
+      const previousValues = previous ? parseNetworkValues(item, previous.newValue) : null;
+      const changes = previousValues
+        ? networks.map(network => {
+          const label = networks.length > 1 ? `<span class="value-change-network">${networkLabels[network]}</span>` : '';
+          return `<div class="value-change">${label}${describeValueChange(previousValues[network], current[network])}</div>`;
+        }).join('')
+        : '<span class="value-change-none">Introduced</span>';
+      changeCell = `<td class="value-change-cell">${changes}</td>`;
+    }
+
+    row.innerHTML = `
+      <td>
+        <span class="fork-badge" style="background-color: ${getForkColor(fork)}">
+          ${getForkDisplayName(fork)}
+        </span>
+      </td>
+      <td>${typeCell}</td>
+      ${currentCells}
+      ${baselineCells}
+      ${changeCell}
+    `;
+    if (differing.length > 0) {
+      row.title = `${differing.map(getNetworkLabel).join(', ')} ${differing.length === 1 ? 'differs' : 'differ'} from mainnet at this fork`;
     }
 
     tbody.appendChild(row);
@@ -291,6 +626,175 @@ function displayVariable(item, container) {
   container.appendChild(box);
 }
 
+/**
+ * Build a button that copies a link to the item, optionally at a fork
+ */
+function createCopyLinkButton(item, fork = null) {
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'copy-link-icon';
+  copyBtn.innerHTML = '<i class="fas fa-link"></i>';
+  copyBtn.title = 'Copy link to this item';
+  copyBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Don't toggle the collapsible
+    const url = new URL(window.location.href);
+    url.hash = itemHash(item, fork);
+    navigator.clipboard.writeText(url.href).then(() => {
+      copyBtn.innerHTML = '<i class="fas fa-check"></i>';
+      setTimeout(() => {
+        copyBtn.innerHTML = '<i class="fas fa-link"></i>';
+      }, 1500);
+    });
+  });
+  return copyBtn;
+}
+
+/**
+ * Build the collapsible box for one fork of a code item
+ * @param {Array<HTMLElement>} annotations - Header extras such as diff stats,
+ *   placed between the fork badge and the copy link button
+ * @param {string} [linkFork] - What the copy link points at, if not the fork
+ * @returns {{box: HTMLElement, content: HTMLElement}} The box, and the
+ *   collapsible body for the caller to fill
+ */
+function createForkBlock(item, fork, isOpen, annotations = [], linkFork = fork) {
+  const box = document.createElement('div');
+  box.className = 'file-box fork-code-block';
+  box.dataset.fork = fork;
+
+  // Header (matching test viewer style)
+  const header = document.createElement('div');
+  header.className = 'file-header';
+
+  const icon = document.createElement('i');
+  icon.className = isOpen ? 'fas fa-chevron-down file-toggle-icon' : 'fas fa-chevron-right file-toggle-icon';
+
+  const nameEl = document.createElement('span');
+  nameEl.className = 'file-name-badge';
+  nameEl.textContent = getForkDisplayName(fork);
+  nameEl.style.backgroundColor = getForkColor(fork);
+
+  header.appendChild(icon);
+  header.appendChild(nameEl);
+  annotations.forEach(annotation => header.appendChild(annotation));
+  header.appendChild(createCopyLinkButton(item, linkFork));
+
+  // Content
+  const content = document.createElement('div');
+  content.className = 'file-content';
+  if (!isOpen) {
+    content.classList.add('collapsed');
+  }
+
+  // Toggle functionality
+  header.addEventListener('click', () => {
+    const isCollapsed = content.classList.contains('collapsed');
+    content.classList.toggle('collapsed');
+    icon.className = isCollapsed ? 'fas fa-chevron-down file-toggle-icon' : 'fas fa-chevron-right file-toggle-icon';
+    if (isCollapsed) markTimelineFork(fork);
+    updateReferenceSections();
+  });
+
+  box.appendChild(header);
+  box.appendChild(content);
+
+  return { box, content };
+}
+
+/**
+ * Build the "+added -removed" annotation for a diffed block
+ * @param {string} unchangedLabel - Badge text used instead when nothing differs
+ * @param {string} unchangedTitle - Tooltip for that badge
+ * @param {string} [ignored] - What the diff options left out of the counts
+ */
+function createDiffStats(oldCode, newCode, unchangedLabel, unchangedTitle, ignored = '') {
+  const { added, removed } = computeDiffStats(oldCode, newCode);
+
+  if (added > 0 || removed > 0) {
+    const stats = document.createElement('span');
+    stats.className = 'diff-stats';
+    if (ignored) stats.title = `Lines added and removed, ignoring ${ignored}`;
+    stats.innerHTML = `
+      <span class="diff-stat-added">+${added}</span>
+      <span class="diff-stat-removed">-${removed}</span>
+    `;
+    return stats;
+  }
+
+  const badge = document.createElement('span');
+  badge.className = 'diff-no-change-badge';
+  badge.textContent = unchangedLabel;
+  badge.title = unchangedTitle;
+  return badge;
+}
+
+/**
+ * Explain a fork whose diff came out empty
+ */
+function unchangedForkTitle(ignored) {
+  return ignored ? `This fork only changed ${ignored}` : 'This fork changed nothing the diff can show';
+}
+
+/**
+ * Fill a fork block with plain code
+ */
+function renderCodeBody(content, code) {
+  const codeBox = document.createElement('pre');
+  codeBox.className = 'test-code-box';
+
+  const codeEl = document.createElement('code');
+  codeEl.className = 'language-python';
+  codeEl.textContent = code;
+
+  codeBox.appendChild(codeEl);
+  content.appendChild(codeBox);
+}
+
+/**
+ * Fill a fork block with a diff between two versions of its code, adding
+ * hunk navigation to its header when there is anything to step through
+ */
+function renderDiffBody(content, oldCode, newCode) {
+  const diffBox = document.createElement('div');
+  diffBox.className = 'diff-container';
+  const hunks = renderDiff(diffBox, oldCode, newCode);
+  content.appendChild(diffBox);
+
+  if (hunks > 0) {
+    const header = content.parentElement.querySelector('.file-header');
+    header.insertBefore(createHunkNavigation(diffBox, hunks), header.querySelector('.copy-link-icon'));
+  }
+}
+
+/**
+ * Highlight the rendered code blocks and link the references in them
+ */
+function finishCodeBlocks(container) {
+  // Trigger syntax highlighting. Diff blocks are highlighted as they are built,
+  // and carry no language-* class, so Prism leaves them alone here.
+  if (typeof Prism !== 'undefined') {
+    Prism.highlightAllUnder(container);
+  }
+
+  // Add clickable references after syntax highlighting
+  // Use broader selector since Prism may add additional classes
+  container.querySelectorAll('code[class*="language-python"]').forEach(block => {
+    addClickableReferences(block);
+
+    // Blocks whose signatures use custom types get a toggle for annotating
+    // them with the types they stand for
+    const forkBlock = block.closest('.fork-code-block');
+    const annotated = annotateAliasTypes(block, forkBlock ? forkBlock.dataset.fork : null);
+    const header = forkBlock && forkBlock.querySelector('.file-header');
+    if (annotated > 0 && header) {
+      header.insertBefore(createAliasToggle(rerenderCurrentItem), header.querySelector('.copy-link-icon'));
+    }
+  });
+
+  container.querySelectorAll('.diff-container').forEach(block => {
+    addClickableReferences(block);
+  });
+}
+
 /**
  * Display a code item (functions, types, classes, etc.)
  *
@@ -299,134 +803,209 @@ function displayVariable(item, container) {
  * against the previous fork that changed it.
  */
 function displayCode(item, container) {
+  if (isComparing()) {
+    displayReleaseCode(item, container);
+    return;
+  }
+
   // item.forks is in chronological order and holds only the forks that changed
   // the value, so the entry before a fork is the version it changed away from
   const forksAscending = item.forks;
   const forksReversed = [...forksAscending].reverse();
   const diffMode = isDiffEnabled();
+  const ignored = describeIgnoredChanges();
+
+  const pair = diffMode ? getForkPair(item) : null;
+  if (pair) {
+    displayForkPair(item, container, pair);
+    return;
+  }
 
   forksReversed.forEach((fork, index) => {
     const value = item.values[fork];
-    const isFirst = index === 0;
 
     const prevFork = forksAscending[forksAscending.length - 2 - index] || null;
     const showDiff = diffMode && prevFork !== null;
 
-    // While diffing, comments are stripped everywhere - including the
-    // introducing fork's plain block - so all the blocks read consistently
-    const shownCode = diffMode ? stripComments(String(value)) : String(value);
-    const prevShownCode = showDiff ? stripComments(String(item.values[prevFork])) : null;
-
-    const box = document.createElement('div');
-    box.className = 'file-box fork-code-block';
-    box.dataset.fork = fork;
-
-    // Header (matching test viewer style)
-    const header = document.createElement('div');
-    header.className = 'file-header';
+    // While diffing, whatever the diff options ignore is dropped everywhere -
+    // including the introducing fork's plain block - so all the blocks read
+    // consistently
+    const shownCode = diffMode ? normalizeForDiff(String(value)) : String(value);
+    const prevShownCode = showDiff ? normalizeForDiff(String(item.values[prevFork])) : null;
 
-    const icon = document.createElement('i');
-    icon.className = isFirst ? 'fas fa-chevron-down file-toggle-icon' : 'fas fa-chevron-right file-toggle-icon';
+    // A fork with an empty diff changed the item, but only in what is ignored
+    const annotations = showDiff
+      ? [createDiffStats(prevShownCode, shownCode, 'No changes', unchangedForkTitle(ignored), ignored)]
+      : [];
 
-    const nameEl = document.createElement('span');
-    nameEl.className = 'file-name-badge';
-    nameEl.textContent = getForkDisplayName(fork);
-    nameEl.style.backgroundColor = getForkColor(fork);
-
-    header.appendChild(icon);
-    header.appendChild(nameEl);
+    const { box, content } = createForkBlock(item, fork, index === 0, annotations);
 
     if (showDiff) {
-      const { added, removed } = computeDiffStats(prevShownCode, shownCode);
-
-      if (added > 0 || removed > 0) {
-        const stats = document.createElement('span');
-        stats.className = 'diff-stats';
-        stats.innerHTML = `
-          <span class="diff-stat-added">+${added}</span>
-          <span class="diff-stat-removed">-${removed}</span>
-        `;
-        header.appendChild(stats);
-      } else {
-        // The fork changed the item, but only in comments
-        const badge = document.createElement('span');
-        badge.className = 'diff-no-change-badge';
-        badge.textContent = 'No changes';
-        badge.title = 'This fork only changed comments';
-        header.appendChild(badge);
-      }
+      renderDiffBody(content, prevShownCode, shownCode);
+    } else {
+      renderCodeBody(content, shownCode);
     }
 
-    // Copy link button
-    const copyBtn = document.createElement('button');
-    copyBtn.className = 'copy-link-icon';
-    copyBtn.innerHTML = '<i class="fas fa-link"></i>';
-    copyBtn.title = 'Copy link to this item';
-    copyBtn.addEventListener('click', (e) => {
-      e.stopPropagation(); // Don't toggle the collapsible
-      const url = new URL(window.location.href);
-      url.hash = itemHash(item, fork);
-      navigator.clipboard.writeText(url.href).then(() => {
-        copyBtn.innerHTML = '<i class="fas fa-check"></i>';
-        setTimeout(() => {
-          copyBtn.innerHTML = '<i class="fas fa-link"></i>';
-        }, 1500);
-      });
-    });
-
-    header.appendChild(copyBtn);
+    container.appendChild(box);
+  });
 
-    // Content
-    const content = document.createElement('div');
-    content.className = 'file-content';
-    if (!isFirst) {
-      content.classList.add('collapsed');
-    }
+  finishCodeBlocks(container);
+}
 
-    if (showDiff) {
-      const diffBox = document.createElement('div');
-      diffBox.className = 'diff-container';
-      renderDiff(diffBox, prevShownCode, shownCode);
-      content.appendChild(diffBox);
-    } else {
-      const codeBox = document.createElement('pre');
-      codeBox.className = 'test-code-box';
+/**
+ * Display one diff between two picked forks of a code item, skipping the
+ * forks in between
+ */
+function displayForkPair(item, container, { from, to }) {
+  // Either fork may be one that left the item unchanged
+  const codeAt = fork => {
+    const effectiveFork = findEffectiveFork(item.forks, fork);
+    return effectiveFork ? normalizeForDiff(String(item.values[effectiveFork])) : '';
+  };
+  const ignored = describeIgnoredChanges();
+  const oldCode = codeAt(from);
+  const newCode = codeAt(to);
+
+  const base = document.createElement('span');
+  base.className = 'diff-pair-base';
+  base.innerHTML = `vs <span class="file-name-badge" style="background-color: ${getForkColor(from)}">${escapeHtml(getForkDisplayName(from))}</span>`;
+
+  const annotations = [
+    base,
+    createDiffStats(oldCode, newCode, 'No changes', `Same code in ${getForkDisplayName(from)} and ${getForkDisplayName(to)}${ignored ? `, ignoring ${ignored}` : ''}`, ignored)
+  ];
+
+  const { box, content } = createForkBlock(item, to, true, annotations, `${from}..${to}`);
+  box.classList.add('fork-pair-block');
+
+  if (oldCode === newCode) {
+    renderCodeBody(content, newCode);
+  } else {
+    renderDiffBody(content, oldCode, newCode);
+  }
 
-      const code = document.createElement('code');
-      code.className = 'language-python';
-      code.textContent = shownCode;
+  container.appendChild(box);
+  finishCodeBlocks(container);
+}
 
-      codeBox.appendChild(code);
-      content.appendChild(codeBox);
+/**
+ * Display a code item diffed against the baseline release
+ *
+ * Every fork either release changed the item in gets a block, newest first,
+ * comparing what the item looked like at that fork in each release. The first
+ * block that differs starts open.
+ */
+function displayReleaseCode(item, container) {
+  const baselineVersion = getBaselineVersion();
+  const ignored = describeIgnoredChanges();
+
+  // Whatever the diff options ignore is dropped from both releases, as it is
+  // when diffing forks
+  const entries = alignReleaseForks(item, getBaselineItem(item)).reverse().map(entry => ({
+    ...entry,
+    oldCode: entry.oldValue === null ? '' : normalizeForDiff(String(entry.oldValue)),
+    newCode: entry.newValue === null ? '' : normalizeForDiff(String(entry.newValue))
+  }));
+
+  const differs = ({ oldCode, newCode }) => oldCode !== newCode;
+  const openEntry = entries.find(differs) || entries[0];
+
+  entries.forEach(entry => {
+    const { fork, oldValue, newValue, oldCode, newCode } = entry;
+
+    const unchangedTitle = `Identical in ${baselineVersion}${ignored ? `, ignoring ${ignored}` : ''}`;
+    const annotations = [createDiffStats(oldCode, newCode, 'Unchanged', unchangedTitle, ignored)];
+    if (oldValue === null || newValue === null) {
+      const note = document.createElement('span');
+      note.className = 'diff-no-change-badge';
+      note.textContent = oldValue === null ? `Not in ${baselineVersion}` : `Only in ${baselineVersion}`;
+      annotations.push(note);
     }
 
-    // Toggle functionality
-    header.addEventListener('click', () => {
-      const isCollapsed = content.classList.contains('collapsed');
-      content.classList.toggle('collapsed');
-      icon.className = isCollapsed ? 'fas fa-chevron-down file-toggle-icon' : 'fas fa-chevron-right file-toggle-icon';
-    });
+    const { box, content } = createForkBlock(item, fork, entry === openEntry, annotations);
+
+    if (differs(entry)) {
+      renderDiffBody(content, oldCode, newCode);
+    } else {
+      renderCodeBody(content, newCode);
+    }
 
-    box.appendChild(header);
-    box.appendChild(content);
     container.appendChild(box);
   });
 
-  // Trigger syntax highlighting. Diff blocks are highlighted as they are built,
-  // and carry no language-* class, so Prism leaves them alone here.
-  if (typeof Prism !== 'undefined') {
-    Prism.highlightAllUnder(container);
+  finishCodeBlocks(container);
+}
+
+/**
+ * Build the banner naming the two releases being compared
+ */
+function createReleaseBanner(item) {
+  const current = window.getCurrentVersion ? window.getCurrentVersion() : 'nightly';
+  const baselineVersion = getBaselineVersion();
+
+  const banner = document.createElement('div');
+  banner.className = 'release-compare-banner';
+  banner.innerHTML = `
+    <i class="fas fa-code-compare"></i>
+    <span>Changed between releases: <strong>${escapeHtml(baselineVersion)}</strong> &rarr; <strong>${escapeHtml(current)}</strong></span>
+  `;
+
+  if (!getBaselineItem(item) || item.forks.length === 0) {
+    const note = document.createElement('span');
+    note.className = 'release-compare-note';
+    if (item.forks.length === 0) {
+      note.classList.add('release-compare-note-removed');
+      note.textContent = `Removed since ${baselineVersion}`;
+    } else {
+      note.textContent = `New since ${baselineVersion}`;
+    }
+    banner.appendChild(note);
   }
 
-  // Add clickable references after syntax highlighting
-  // Use broader selector since Prism may add additional classes
-  container.querySelectorAll('code[class*="language-python"]').forEach(block => {
-    addClickableReferences(block);
-  });
+  return banner;
+}
 
-  container.querySelectorAll('.diff-container').forEach(block => {
-    addClickableReferences(block);
-  });
+/**
+ * Build the banner for an item a later fork dropped
+ */
+function createRemovedBanner(item) {
+  const lastFork = item.forks[item.forks.length - 1];
+  const banner = document.createElement('div');
+  banner.className = 'release-compare-banner item-removed-banner';
+  banner.innerHTML = `
+    <i class="fas fa-ban"></i>
+    <span>Removed in <strong>${escapeHtml(getForkDisplayName(item.removedIn))}</strong>; shown as it last stood, in ${escapeHtml(getForkDisplayName(lastFork))}</span>
+  `;
+  return banner;
+}
+
+/**
+ * Build the banner saying which fork an item is shown as of, or why it is
+ * shown in full
+ */
+function createSnapshotBanner(item, snapshotFork) {
+  const fork = escapeHtml(getForkDisplayName(snapshotFork));
+  const removal = findRemovalAt(item, snapshotFork);
+  let text;
+  if (existsAtFork(item, snapshotFork)) {
+    const effectiveFork = findEffectiveFork(item.forks, snapshotFork);
+    text = effectiveFork === snapshotFork
+      ? `Shown as of <strong>${fork}</strong>`
+      : `Shown as of <strong>${fork}</strong>; unchanged since ${escapeHtml(getForkDisplayName(effectiveFork))}`;
+  } else if (removal) {
+    text = `Not in the spec as of <strong>${fork}</strong>, having been removed in ${escapeHtml(getForkDisplayName(removal.from))}; shown across every fork`;
+  } else {
+    const introduced = item.forks.length > 0 ? `, being introduced in ${escapeHtml(getForkDisplayName(item.forks[0]))}` : '';
+    text = `Not in the spec as of <strong>${fork}</strong>${introduced}; shown across every fork`;
+  }
+
+  const banner = document.createElement('div');
+  banner.className = 'release-compare-banner snapshot-banner';
+  banner.innerHTML = `
+    <i class="fas fa-thumbtack"></i>
+    <span>${text}</span>
+  `;
+  return banner;
 }
 
 /**
@@ -441,6 +1020,7 @@ export function openForkInViewer(preferredFork) {
   if (forkBlocks.length === 0) return;
 
   let forkToOpen = null;
+  let carriedOver = false;
 
   // If a preferred fork is specified, try to find it
   if (preferredFork) {
@@ -451,21 +1031,13 @@ export function openForkInViewer(preferredFork) {
       }
     }
 
-    // If preferred fork not found, find the most recent fork <= preferred fork
+    // If preferred fork not found, open the one in effect at that fork
     if (!forkToOpen) {
-      const forkOrder = getForkOrder();
-    const preferredIndex = forkOrder.indexOf(preferredFork);
-      if (preferredIndex >= 0) {
-        const availableForks = Array.from(forkBlocks).map(block => block.dataset.fork);
-
-        // Starting from preferred fork, go backwards to find the latest one that exists
-        for (let i = preferredIndex; i >= 0; i--) {
-          const candidateFork = forkOrder[i];
-          if (availableForks.includes(candidateFork)) {
-            forkToOpen = Array.from(forkBlocks).find(block => block.dataset.fork === candidateFork);
-            break;
-          }
-        }
+      const availableForks = Array.from(forkBlocks).map(block => block.dataset.fork);
+      const effectiveFork = findEffectiveFork(availableForks, preferredFork);
+      if (effectiveFork) {
+        forkToOpen = Array.from(forkBlocks).find(block => block.dataset.fork === effectiveFork);
+        carriedOver = true;
       }
     }
   }
@@ -475,6 +1047,17 @@ export function openForkInViewer(preferredFork) {
     forkToOpen = forkBlocks[0];
   }
 
+  // A fork that left the item unchanged opens the block in effect there,
+  // saying so
+  content.querySelectorAll('.fork-effective-note').forEach(note => note.remove());
+  if (carriedOver && !forkToOpen.classList.contains('fork-pair-block')) {
+    const note = document.createElement('span');
+    note.className = 'fork-effective-note';
+    note.textContent = `in effect at ${getForkDisplayName(preferredFork)}`;
+    forkToOpen.querySelector('.file-name-badge').after(note);
+  }
+  markTimelineFork(carriedOver ? preferredFork : forkToOpen.dataset.fork);
+
   // Collapse all fork blocks, then expand the selected one
   forkBlocks.forEach(block => {
     const content = block.querySelector('.file-content');
@@ -489,6 +1072,37 @@ export function openForkInViewer(preferredFork) {
       }
     }
   });
+  updateReferenceSections();
+}
+
+/**
+ * Display an item that only exists in the baseline release
+ *
+ * It renders as a release diff against nothing, so each fork it had in the
+ * baseline shows as entirely removed.
+ */
+export function displayRemovedItem(baselineItem) {
+  displaySpec({ name: baselineItem.name, category: baselineItem.category, forks: [], values: {} });
+}
+
+/**
+ * Take over the spec viewer for a page that is not a single item
+ * @returns {HTMLElement} The emptied content area to render the page into
+ */
+export function showPage(title, breadcrumbText) {
+  currentItem = null;
+  removeDiffControls();
+
+  document.getElementById('specTitle').textContent = title;
+  document.getElementById('breadcrumb').innerHTML = `<span>${escapeHtml(breadcrumbText)}</span>`;
+
+  const content = document.getElementById('specContent');
+  content.innerHTML = '';
+
+  document.getElementById('welcome').classList.add('hidden');
+  document.getElementById('specViewer').classList.remove('hidden');
+
+  return content;
 }
 
 /**
@@ -533,12 +1147,3 @@ export function showItemNotFound(itemName, version) {
   document.getElementById('welcome').classList.add('hidden');
   document.getElementById('specViewer').classList.remove('hidden');
 }
-
-/**
- * Escape HTML special characters
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
@@ -0,0 +1,497 @@
+/**
+ * SSZ layout panel - what a container serializes and merkleizes to
+ *
+ * Container classes are read from their source, and each field's type is
+ * resolved all the way down: custom types to what they alias, containers to
+ * their own fields, and list and vector limits to integers using the preset
+ * of the chosen network. From that come every field's fixed or variable size,
+ * the least and most bytes it can serialize to, and the generalized index a
+ * Merkle proof of it starts from.
+ */
+
+import { getForkOrder, getForkDisplayName, findEffectiveFork, existsAtFork } from './constants.js';
+import { getCollectedItems } from './tree.js';
+import { limitToSnapshot } from './snapshot.js';
+import { getItemElement, navigateToReference } from './references.js';
+import { parseIntegerValue } from './valueFormat.js';
+import { PRIMARY_NETWORK, getAvailableNetworks, getNetworkLabel } from './networks.js';
+import { escapeHtml, createSelect } from './utils.js';
+
+// Bytes of an offset to a variable-size part
+const OFFSET_SIZE = 4n;
+
+// Categories limits like VALIDATOR_REGISTRY_LIMIT are looked up in
+const LIMIT_CATEGORIES = ['preset_vars', 'constant_vars', 'config_vars'];
+
+// Deepest chain of aliases and nested types followed, so a cycle cannot hang
+// the page
+const MAX_TYPE_DEPTH = 32;
+
+// Powers of two from here up are written as 2**n
+const POWER_NOTATION_FROM = 2n ** 10n;
+
+// Byte sizes from here up get an approximate binary unit too
+const BYTE_UNITS = ['KiB', 'MiB', 'GiB', 'TiB', 'PiB', 'EiB'];
+
+// Panel settings, kept across items so it opens the way it was left
+const sszState = {
+  open: true,
+  fork: null,
+  network: PRIMARY_NETWORK
+};
+
+/**
+ * Read a container class from its source
+ * @returns {{name: string, base: string, fields: Array<{name, type}>}|null}
+ *   Null if the source is not a class
+ */
+export function parseContainerSource(source) {
+  const lines = String(source).split('\n');
+  const header = lines[0].match(/^class\s+(\w+)\s*\((.*)\)\s*:\s*(?:#.*)?$/);
+  if (!header) return null;
+
+  const fields = [];
+  let pending = '';
+  lines.slice(1).forEach(line => {
+    const code = line.replace(/#.*$/, '').trim();
+    if (!code) return;
+
+    // A type spread over several lines is joined until its brackets close
+    pending = pending ? `${pending} ${code}` : code;
+    const opened = (pending.match(/\[/g) || []).length;
+    const closed = (pending.match(/\]/g) || []).length;
+    if (opened > closed) return;
+
+    const field = pending.match(/^(\w+)\s*:\s*(.+)$/);
+    if (field) fields.push({ name: field[1], type: field[2].replace(/\s+/g, ' ').replace(/,\s*\]/g, ']') });
+    pending = '';
+  });
+
+  return { name: header[1], base: header[2].trim(), fields };
+}
+
+/**
+ * Split a type like `List[Validator, LIMIT]` into its name and arguments
+ * @returns {{name: string, args: string[]}|null}
+ */
+function splitTypeExpression(text) {
+  const match = text.trim().match(/^(\w+)\s*(?:\[([\s\S]*)\])?$/);
+  if (!match) return null;
+  if (match[2] === undefined) return { name: match[1], args: [] };
+
+  const args = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of match[2]) {
+    if (ch === '[' || ch === '(') depth++;
+    if (ch === ']' || ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) args.push(current.trim());
+  return { name: match[1], args };
+}
+
+/**
+ * Write a length the way the spec would: 2**40 rather than 1099511627776
+ */
+function formatLength(length) {
+  if (length >= POWER_NOTATION_FROM && (length & (length - 1n)) === 0n) {
+    return `2**${length.toString(2).length - 1}`;
+  }
+  return String(length);
+}
+
+/**
+ * Round a chunk count up to the width of the Merkle tree holding it
+ */
+function nextPowerOfTwo(count) {
+  let width = 1n;
+  while (width < count) width *= 2n;
+  return width;
+}
+
+/**
+ * Build the resolved form of a type
+ * @param {Object} type - kind, label and anything kind-specific
+ * @param {bigint|null} size - Bytes if the type is fixed-size, else null
+ * @param {bigint|null} [min] - Least bytes of a variable-size type
+ * @param {bigint|null} [max] - Most bytes of a variable-size type
+ */
+function sized(type, size, min = size, max = size) {
+  return { ...type, fixed: size !== null, min, max };
+}
+
+/**
+ * Start resolving types at one fork, on one network's preset
+ * @param {Object} items - Collected items (category -> name -> item)
+ */
+function createTypeContext(items, fork, network) {
+  return { items, fork, network, cache: new Map() };
+}
+
+/**
+ * Look up an item's definition at the context's fork
+ */
+function definitionAt(context, category, name) {
+  const item = (context.items[category] || {})[name];
+  if (!item || !existsAtFork(item, context.fork)) return undefined;
+  const effectiveFork = findEffectiveFork(item.forks, context.fork);
+  return effectiveFork ? item.values[effectiveFork] : undefined;
+}
+
+/**
+ * Evaluate a length or limit, substituting the presets and constants it names
+ * @returns {bigint|null} Null if something in it is unknown
+ */
+function evaluateLength(context, expression, depth = 0) {
+  if (depth > MAX_TYPE_DEPTH) return null;
+  let unknown = false;
+  const substituted = String(expression).replace(/\b([A-Za-z_]\w*)\b(?!\s*\()/g, name => {
+    const value = lookupInteger(context, name, depth + 1);
+    if (value === null) unknown = true;
+    return `(${value})`;
+  });
+  return unknown ? null : parseIntegerValue(substituted);
+}
+
+/**
+ * Read a preset, constant or config as an integer on the context's network
+ */
+function lookupInteger(context, name, depth) {
+  for (const category of LIMIT_CATEGORIES) {
+    const forkValue = definitionAt(context, category, name);
+    if (forkValue === undefined) continue;
+    const networkValue = forkValue && typeof forkValue === 'object' && !Array.isArray(forkValue)
+      ? (forkValue[context.network] ?? forkValue[PRIMARY_NETWORK])
+      : forkValue;
+    const raw = Array.isArray(networkValue) ? networkValue[1] : networkValue;
+    return raw === undefined || raw === null ? null : evaluateLength(context, raw, depth);
+  }
+  return null;
+}
+
+/**
+ * Resolve a type expression as written in a field or an alias
+ * @returns {{kind, label, fixed, min, max}} min and max are null when a limit
+ *   could not be evaluated; kind 'unknown' marks types with no layout here,
+ *   along with a note saying why
+ */
+function resolveType(context, text, depth = 0) {
+  const key = text.replace(/\s+/g, '');
+  if (context.cache.has(key)) return context.cache.get(key);
+
+  const unknown = note => ({ kind: 'unknown', label: text, fixed: false, min: null, max: null, note });
+  if (depth > MAX_TYPE_DEPTH) return unknown('Too deeply nested');
+
+  const parsed = splitTypeExpression(text);
+  const resolved = parsed ? resolveParsedType(context, parsed, depth, unknown) : unknown('Not a type this panel can read');
+  context.cache.set(key, resolved);
+  return resolved;
+}
+
+function resolveParsedType(context, { name, args }, depth, unknown) {
+  const length = index => (args[index] === undefined ? null : evaluateLength(context, args[index], depth));
+  const lengthLabel = (value, index) => (value === null ? args[index] : formatLength(value));
+  const times = (a, b) => (a === null || b === null ? null : a * b);
+  // Variable-size parts also take an offset in the fixed part
+  const withOffset = type => (type.fixed || type.min === null ? type.min : type.min + OFFSET_SIZE);
+  const withOffsetMax = type => (type.fixed || type.max === null ? type.max : type.max + OFFSET_SIZE);
+
+  const uint = name.match(/^uint(\d+)$/);
+  if (uint && args.length === 0) return sized({ kind: 'basic', label: name }, BigInt(uint[1]) / 8n);
+  if (name === 'boolean' && args.length === 0) return sized({ kind: 'basic', label: name }, 1n);
+  if (name === 'byte' && args.length === 0) return sized({ kind: 'basic', label: 'uint8' }, 1n);
+
+  const bytes = name.match(/^Bytes(\d+)$/);
+  if (bytes && args.length === 0) {
+    return sized({ kind: 'vector', label: `ByteVector[${bytes[1]}]` }, BigInt(bytes[1]));
+  }
+
+  if ((name === 'ByteVector' || name === 'Bitvector') && args.length === 1) {
+    const count = length(0);
+    const size = name === 'ByteVector' || count === null ? count : (count + 7n) / 8n;
+    if (size === null) return unknown(`Unknown length ${args[0]}`);
+    return sized({ kind: 'vector', label: `${name}[${lengthLabel(count, 0)}]` }, size);
+  }
+
+  if ((name === 'ByteList' || name === 'Bitlist') && args.length === 1) {
+    const limit = length(0);
+    const label = `${name}[${lengthLabel(limit, 0)}]`;
+    // A bitlist always carries its delimiting bit
+    if (name === 'Bitlist') return sized({ kind: 'list', label }, null, 1n, limit === null ? null : limit / 8n + 1n);
+    return sized({ kind: 'list', label }, null, 0n, limit);
+  }
+
+  if ((name === 'Vector' || name === 'List') && args.length === 2) {
+    const element = resolveType(context, args[0], depth + 1);
+    const count = length(1);
+    const label = `${name}[${element.label}, ${lengthLabel(count, 1)}]`;
+
+    if (name === 'List') return sized({ kind: 'list', label }, null, 0n, times(withOffsetMax(element), count));
+    if (element.fixed) {
+      if (count === null) return unknown(`Unknown length ${args[1]}`);
+      return sized({ kind: 'vector', label }, element.max * count);
+    }
+    return sized({ kind: 'vector', label }, null, times(withOffset(element), count), times(withOffsetMax(element), count));
+  }
+
+  if (name === 'Union' && args.length > 0) {
+    const options = args.map(arg => (arg === 'None' ? sized({ kind: 'basic', label: 'None' }, 0n) : resolveType(context, arg, depth + 1)));
+    const mins = options.map(option => option.min);
+    const maxes = options.map(option => option.max);
+    const least = mins.includes(null) ? null : mins.reduce((a, b) => (b < a ? b : a));
+    const most = maxes.includes(null) ? null : maxes.reduce((a, b) => (b > a ? b : a));
+    // One selector byte ahead of the chosen option
+    return sized({ kind: 'union', label: `Union[${options.map(option => option.label).join(', ')}]` }, null,
+      least === null ? null : least + 1n, most === null ? null : most + 1n);
+  }
+
+  if (args.length === 0) {
+    const alias = definitionAt(context, 'custom_types', name);
+    if (alias !== undefined) return resolveType(context, String(alias).trim(), depth + 1);
+
+    const source = definitionAt(context, 'ssz_objects', name);
+    if (source !== undefined) {
+      const layout = layoutContainerSource(context, source, depth + 1);
+      if (!layout.fields) return unknown(layout.note);
+      return sized({ kind: 'container', label: name }, layout.fixed ? layout.min : null, layout.min, layout.max);
+    }
+  }
+
+  return unknown(`${name} has no SSZ layout here`);
+}
+
+/**
+ * Lay out a container: its fields, their sizes and generalized indices
+ * @returns {{fields?: Array, fixed, min, max, depth, note?}} No fields, but a
+ *   note, for classes that are not plain containers
+ */
+function layoutContainerSource(context, source, depth = 0) {
+  const parsed = parseContainerSource(source);
+  if (!parsed) return { note: 'Not a class' };
+
+  // A container may extend another, whose fields come first
+  let inherited = [];
+  if (parsed.base !== 'Container') {
+    const baseSource = /^\w+$/.test(parsed.base) ? definitionAt(context, 'ssz_objects', parsed.base) : undefined;
+    if (baseSource === undefined || depth > MAX_TYPE_DEPTH) {
+      return { note: `Only Container layouts are computed, not ${parsed.base}` };
+    }
+    const base = layoutContainerSource(context, baseSource, depth + 1);
+    if (!base.fields) return base;
+    inherited = base.fields.map(({ name, type }) => ({ name, type }));
+  }
+
+  const declared = [...inherited, ...parsed.fields];
+  // Each field is one chunk of a tree padded to a power of two
+  const width = nextPowerOfTwo(BigInt(Math.max(declared.length, 1)));
+  let min = 0n;
+  let max = 0n;
+  const fields = declared.map((field, index) => {
+    const resolved = resolveType(context, field.type, depth + 1);
+    const fieldMin = resolved.fixed || resolved.min === null ? resolved.min : resolved.min + OFFSET_SIZE;
+    const fieldMax = resolved.fixed || resolved.max === null ? resolved.max : resolved.max + OFFSET_SIZE;
+    min = min === null || fieldMin === null ? null : min + fieldMin;
+    max = max === null || fieldMax === null ? null : max + fieldMax;
+    return { ...field, resolved, gindex: width + BigInt(index) };
+  });
+
+  return {
+    fields,
+    fixed: fields.every(field => field.resolved.fixed),
+    min,
+    max,
+    depth: width.toString(2).length - 1
+  };
+}
+
+/**
+ * Lay out a container at a fork, on a network's preset
+ * @param {Object} items - Collected items (category -> name -> item)
+ * @returns {{fields?: Array<{name, type, resolved, gindex}>, fixed, min,
+ *   max, depth, note?}}
+ */
+export function layoutContainer(items, name, fork, network) {
+  const context = createTypeContext(items, fork, network);
+  const source = definitionAt(context, 'ssz_objects', name);
+  if (source === undefined) return { note: `${name} does not exist in ${getForkDisplayName(fork)}` };
+  return layoutContainerSource(context, source);
+}
+
+/**
+ * Write a byte count with separators, and a binary unit once it is large
+ */
+function formatBytes(bytes) {
+  if (bytes === null) return '?';
+  const exact = bytes.toLocaleString('en-US');
+  let scaled = Number(bytes);
+  let unit = -1;
+  while (scaled >= 1024 && unit < BYTE_UNITS.length - 1) {
+    scaled /= 1024;
+    unit++;
+  }
+  return unit < 0 ? exact : `${exact} (${scaled.toFixed(scaled < 10 ? 1 : 0)} ${BYTE_UNITS[unit]})`;
+}
+
+/**
+ * Render a resolved type, linking the containers in it
+ */
+function renderResolvedType(resolved) {
+  const code = document.createElement('code');
+  const label = escapeHtml(resolved.label);
+  // Container names are linked wherever they appear, e.g. inside a List
+  code.innerHTML = label.replace(/\b[A-Z]\w*\b/g, word =>
+    (!/^(List|Vector|Bitlist|Bitvector|ByteList|ByteVector|Union|None)$/.test(word) && getItemElement(word)
+      ? `<a class="ssz-type-link" data-name="${word}">${word}</a>`
+      : word));
+  code.querySelectorAll('.ssz-type-link').forEach(link => {
+    link.addEventListener('click', () => navigateToReference(link.dataset.name, true, sszState.fork));
+  });
+  return code;
+}
+
+/**
+ * Render the field table of a layout
+ */
+function renderLayout(layout) {
+  const wrapper = document.createElement('div');
+
+  const summary = document.createElement('div');
+  summary.className = 'ssz-summary';
+  const size = layout.fixed
+    ? `Fixed size, ${formatBytes(layout.min)} bytes`
+    : `Variable size, ${formatBytes(layout.min)} to ${formatBytes(layout.max)} bytes`;
+  summary.textContent = `${size} · ${layout.fields.length} ${layout.fields.length === 1 ? 'field' : 'fields'}, tree depth ${layout.depth}`;
+  wrapper.appendChild(summary);
+
+  const table = document.createElement('table');
+  table.className = 'variable-table ssz-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Field</th>
+        <th>Type</th>
+        <th>SSZ type</th>
+        <th>Size</th>
+        <th>Min bytes</th>
+        <th>Max bytes</th>
+        <th title="Generalized index of the field, for Merkle proofs">Gindex</th>
+      </tr>
+    </thead>
+  `;
+
+  const tbody = document.createElement('tbody');
+  layout.fields.forEach(field => {
+    const { resolved } = field;
+    const row = document.createElement('tr');
+    // Variable-size fields take an offset in the fixed part
+    const sizeLabel = resolved.kind === 'unknown' ? 'unknown' : (resolved.fixed ? 'fixed' : 'variable');
+    row.innerHTML = `
+      <td><code>${escapeHtml(field.name)}</code></td>
+      <td><code>${escapeHtml(field.type)}</code></td>
+      <td class="ssz-resolved"></td>
+      <td><span class="ssz-size ssz-size-${sizeLabel}">${sizeLabel}</span></td>
+      <td class="ssz-bytes">${formatBytes(resolved.min)}</td>
+      <td class="ssz-bytes">${formatBytes(resolved.max)}</td>
+      <td class="ssz-bytes">${field.gindex}</td>
+    `;
+
+    const resolvedCell = row.querySelector('.ssz-resolved');
+    resolvedCell.appendChild(renderResolvedType(resolved));
+    if (resolved.note) {
+      const note = document.createElement('div');
+      note.className = 'config-check-note';
+      note.textContent = resolved.note;
+      resolvedCell.appendChild(note);
+    }
+    if (!resolved.fixed && resolved.kind !== 'unknown') {
+      row.title = `Also takes a ${OFFSET_SIZE}-byte offset in the container's fixed part`;
+    }
+    if (/^(List|Bitlist|ByteList)\[/.test(resolved.label)) {
+      row.querySelector('td:last-child').title = `Elements under ${field.gindex * 2n}, length under ${field.gindex * 2n + 1n}`;
+    }
+
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  wrapper.appendChild(table);
+  return wrapper;
+}
+
+/**
+ * Create the SSZ layout section for a container
+ * @returns {HTMLElement|null} The section, or null if the item is not an
+ *   SSZ object
+ */
+export function createSszSection(item) {
+  if (item.category !== 'ssz_objects' || item.forks.length === 0) return null;
+
+  const allForks = window.getCurrentForks ? window.getCurrentForks() : getForkOrder();
+  const forks = limitToSnapshot(item, allForks.slice(Math.max(allForks.indexOf(item.forks[0]), 0)));
+  const networks = getAvailableNetworks();
+  if (!forks.includes(sszState.fork)) sszState.fork = forks[forks.length - 1];
+  if (!networks.includes(sszState.network)) sszState.network = networks[0];
+
+  const section = document.createElement('div');
+  section.className = 'used-by-section ssz-section';
+
+  const header = document.createElement('div');
+  header.className = 'used-by-header call-graph-header';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'call-graph-toggle';
+
+  const pickers = document.createElement('div');
+  pickers.className = 'ssz-pickers';
+
+  header.appendChild(toggle);
+  header.appendChild(pickers);
+  section.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'ssz-body';
+  section.appendChild(body);
+
+  const render = () => {
+    toggle.innerHTML = `
+      <i class="fas ${sszState.open ? 'fa-chevron-down' : 'fa-chevron-right'}"></i>
+      <span class="used-by-title">SSZ layout</span>
+    `;
+    pickers.innerHTML = '';
+    body.innerHTML = '';
+    if (!sszState.open) return;
+
+    pickers.appendChild(createSelect('Fork', [...forks].reverse().map(fork => ({ value: fork, text: getForkDisplayName(fork) })),
+      sszState.fork, fork => {
+        sszState.fork = fork;
+        render();
+      }));
+    if (networks.length > 1) {
+      pickers.appendChild(createSelect('Preset', networks.map(network => ({ value: network, text: getNetworkLabel(network) })),
+        sszState.network, network => {
+          sszState.network = network;
+          render();
+        }));
+    }
+
+    const layout = layoutContainer(getCollectedItems(), item.name, sszState.fork, sszState.network);
+    if (!layout.fields) {
+      body.innerHTML = `<span class="call-graph-empty">${escapeHtml(layout.note)}</span>`;
+      return;
+    }
+    body.appendChild(renderLayout(layout));
+  };
+
+  toggle.addEventListener('click', () => {
+    sszState.open = !sszState.open;
+    render();
+  });
+
+  render();
+  return section;
+}
@@ -0,0 +1,84 @@
+/**
+ * Item timeline - one strip across every fork
+ *
+ * Fork blocks only show the forks that changed an item. The strip covers the
+ * whole fork order, so it also shows where the item did not exist yet, which
+ * forks carried it over unchanged and where it was removed. Any fork the item
+ * exists at can be opened to read the definition in effect there.
+ */
+
+import { getForkOrder, getForkDisplayName, getForkColor, getForkShortLabel, findRemovalAt } from './constants.js';
+
+// What each status says in a segment's tooltip
+const STATUS_LABELS = {
+  absent: 'not yet introduced',
+  introduced: 'introduced',
+  modified: 'modified',
+  unchanged: 'unchanged',
+  removed: 'removed',
+  unreleased: 'not in this release'
+};
+
+/**
+ * Work out what happened to an item at every fork
+ * @param {Object} item - The item, with the forks that changed it
+ * @param {string[]} releaseForks - The forks the loaded release has
+ * @returns {Array<{fork: string, status: string}>} In fork order
+ */
+export function getTimeline(item, releaseForks) {
+  const forkOrder = getForkOrder();
+  const introducedIndex = forkOrder.indexOf(item.forks[0]);
+
+  return forkOrder.map((fork, index) => {
+    let status;
+    if (!releaseForks.includes(fork)) status = 'unreleased';
+    else if (index < introducedIndex) status = 'absent';
+    else if (findRemovalAt(item, fork)) status = 'removed';
+    else if (fork === item.forks[0]) status = 'introduced';
+    else if (item.forks.includes(fork)) status = 'modified';
+    else status = 'unchanged';
+    return { fork, status };
+  });
+}
+
+/**
+ * Build the timeline strip for an item
+ * @param {Object} item - The item
+ * @param {Function} onSelect - Called with the fork of a clicked segment
+ * @returns {HTMLElement}
+ */
+export function createTimeline(item, onSelect) {
+  const releaseForks = window.getCurrentForks ? window.getCurrentForks() : getForkOrder();
+
+  const strip = document.createElement('div');
+  strip.className = 'item-timeline';
+  strip.setAttribute('role', 'group');
+  strip.setAttribute('aria-label', 'Forks');
+
+  getTimeline(item, releaseForks).forEach(({ fork, status }) => {
+    const segment = document.createElement('button');
+    segment.className = `item-timeline-segment item-timeline-${status}`;
+    segment.dataset.fork = fork;
+    segment.textContent = getForkShortLabel(fork);
+    segment.title = `${getForkDisplayName(fork)}: ${STATUS_LABELS[status]}`;
+    if (status === 'introduced' || status === 'modified' || status === 'unchanged') {
+      segment.style.setProperty('--timeline-color', getForkColor(fork));
+      segment.addEventListener('click', () => onSelect(fork));
+    } else {
+      segment.disabled = true;
+    }
+    strip.appendChild(segment);
+  });
+
+  return strip;
+}
+
+/**
+ * Mark the fork being read on the timeline on screen
+ * @param {string|null} fork - The fork, or null to mark none
+ */
+export function markTimelineFork(fork) {
+  document.querySelectorAll('.item-timeline-segment').forEach(segment => {
+    segment.classList.toggle('active', segment.dataset.fork === fork);
+  });
+}
@@ -4,6 +4,10 @@
 
 import { getForkDisplayName, getForkColor, getForkShortLabel, getCategoryDisplayName, getCategoryOrder, getForkOrder, isVariableCategory, ignoresForkNameInComparison } from './constants.js';
 import { registerItem, clearRegistry, buildUsedByIndex } from './references.js';
+import { buildSourceIndex, countSourceHits } from './search.js';
+import { isEmptyQuery, matchesFilters, fuzzyScore, getSourcePatterns } from './query.js';
+import { PRIMARY_NETWORK, getDataNetworks } from './networks.js';
+import { isInSnapshot } from './snapshot.js';
 
 // Callback for when an item is selected
 let onItemSelectCallback = null;
@@ -11,6 +15,9 @@ let onItemSelectCallback = null;
 // Cache for tree nodes
 let treeNodes = [];
 
+// Items the tree was last built from
+let collectedItems = {};
+
 // Most fork badges to show on a tree row before collapsing into a "+N" chip
 const MAX_FORK_BADGES = 4;
 
@@ -21,6 +28,14 @@ export function setOnItemSelectCallback(callback) {
   onItemSelectCallback = callback;
 }
 
+/**
+ * Get the items the tree was last built from
+ * @returns {Object} category -> name -> item, as returned by collectItems
+ */
+export function getCollectedItems() {
+  return collectedItems;
+}
+
 /**
  * Get the base name of a variable by stripping fork suffixes
  * Returns { baseName, hasSuffix, suffixIndex }
@@ -50,15 +65,16 @@ function parseVariableValue(value) {
 }
 
 /**
- * Check if mainnet and minimal values differ for any fork in the item
+ * Check if any network's value differs from mainnet's for any fork in the
+ * item. A network that does not set the item has nothing to differ by.
  */
 function hasNetworkDifferences(item) {
   for (const fork of item.forks) {
     const forkValue = item.values[fork];
-    if (forkValue && typeof forkValue === 'object' && ('mainnet' in forkValue || 'minimal' in forkValue)) {
-      const mainnetParsed = parseVariableValue(forkValue.mainnet);
-      const minimalParsed = parseVariableValue(forkValue.minimal);
-      if (String(mainnetParsed.value) !== String(minimalParsed.value)) {
+    if (forkValue && typeof forkValue === 'object' && !Array.isArray(forkValue)) {
+      if (forkValue[PRIMARY_NETWORK] === undefined) continue;
+      const primary = String(parseVariableValue(forkValue[PRIMARY_NETWORK]).value);
+      if (Object.values(forkValue).some(value => value !== undefined && String(parseVariableValue(value).value) !== primary)) {
         return true;
       }
     }
@@ -66,6 +82,34 @@ function hasNetworkDifferences(item) {
   return false;
 }
 
+/**
+ * Read a category's variables as one fork of the data names them. Unlike
+ * collectItems, fork-suffixed names such as `MAX_EFFECTIVE_BALANCE_ELECTRA`
+ * stay as they are, the way configs and presets spell them.
+ * @param {string} network - The network to read, falling back to mainnet if
+ *   it does not have the category
+ * @returns {Object} name -> { type, value, baseName }, where baseName is the
+ *   item the variable is collected under
+ */
+export function getForkVariables(data, fork, network, category) {
+  const read = name => {
+    const forkData = data[name] && (data[name][fork] || data[name][fork.toLowerCase()]);
+    return forkData && forkData[category];
+  };
+  const categoryData = read(network) || read(PRIMARY_NETWORK) || {};
+
+  const variables = {};
+  Object.entries(categoryData).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    variables[name] = {
+      type: Array.isArray(value) ? value[0] || '' : '',
+      value: String(Array.isArray(value) ? value[1] ?? '' : value),
+      baseName: getBaseName(name).baseName
+    };
+  });
+  return variables;
+}
+
 /**
  * Get the best (latest) version value for a variable from a fork's category data
  */
@@ -101,14 +145,13 @@ function comparisonKey(value, fork) {
 
 /**
  * Collect all items from the data, tracking only forks where the value changed
+ * @returns {Object} category -> name -> { name, category, forks, values }
  */
-function collectItems(data, forks) {
-  const mainnetData = data.mainnet;
-  const minimalData = data.minimal;
-  if (!mainnetData && !minimalData) return {};
-
-  // Use mainnet as primary for determining forks/changes
-  const primaryData = mainnetData || minimalData;
+export function collectItems(data, forks) {
+  // Mainnet leads; code is the same on every network, so only variables read
+  // the others
+  const networks = getDataNetworks(data);
+  if (networks.length === 0) return {};
 
   const items = {};
 
@@ -116,7 +159,7 @@ function collectItems(data, forks) {
   getCategoryOrder().forEach(category => {
     items[category] = {};
 
-    // Track last value for each item to detect changes (using mainnet)
+    // Track last value for each item to detect changes
     const lastValues = {};
 
     // Check if this is a variable category that needs consolidation
@@ -124,49 +167,65 @@ function collectItems(data, forks) {
 
     // For each fork in order
     forks.forEach(fork => {
-      const mainnetForkData = mainnetData && (mainnetData[fork] || mainnetData[fork.toLowerCase()]);
-      const minimalForkData = minimalData && (minimalData[fork] || minimalData[fork.toLowerCase()]);
-
-      const mainnetCategoryData = mainnetForkData && mainnetForkData[category];
-      const minimalCategoryData = minimalForkData && minimalForkData[category];
-
-      if (!mainnetCategoryData && !minimalCategoryData) return;
+      const categoryDataByNetwork = {};
+      networks.forEach(network => {
+        const forkData = data[network][fork] || data[network][fork.toLowerCase()];
+        if (forkData && forkData[category]) categoryDataByNetwork[network] = forkData[category];
+      });
 
-      if (consolidateVariables) {
-        // Get best versions for both networks
-        const mainnetBest = mainnetCategoryData ? getBestVersionValue(mainnetCategoryData) : {};
-        const minimalBest = minimalCategoryData ? getBestVersionValue(minimalCategoryData) : {};
+      // A fork no network has tells nothing; one that lacks the whole
+      // category has dropped everything in it
+      if (!networks.some(network => data[network][fork] || data[network][fork.toLowerCase()])) return;
+      const presentNetworks = Object.keys(categoryDataByNetwork);
+
+      // Names the fork has, to tell which items it dropped
+      const namesInFork = new Set();
+
+      if (presentNetworks.length === 0) {
+        // Nothing to collect
+      } else if (consolidateVariables) {
+        // Get best versions for every network
+        const bestByNetwork = {};
+        presentNetworks.forEach(network => {
+          bestByNetwork[network] = getBestVersionValue(categoryDataByNetwork[network]);
+        });
 
-        // Combine all base names from both networks
-        const allBaseNames = new Set([...Object.keys(mainnetBest), ...Object.keys(minimalBest)]);
+        // Combine all base names from all networks
+        const allBaseNames = new Set(presentNetworks.flatMap(network => Object.keys(bestByNetwork[network])));
 
         allBaseNames.forEach(baseName => {
-          const mainnetValue = mainnetBest[baseName]?.value;
-          const minimalValue = minimalBest[baseName]?.value;
+          namesInFork.add(baseName);
+          const forkValue = {};
+          networks.forEach(network => {
+            forkValue[network] = bestByNetwork[network]?.[baseName]?.value;
+          });
 
-          // Use mainnet value for change detection
-          const valueStr = JSON.stringify(mainnetValue || minimalValue);
+          // A change on any network is a change
+          const valueStr = JSON.stringify(forkValue);
 
           if (!items[category][baseName]) {
             items[category][baseName] = {
               name: baseName,
               category,
               forks: [fork],
-              values: { [fork]: { mainnet: mainnetValue, minimal: minimalValue } }
+              values: { [fork]: forkValue },
+              removals: []
             };
             lastValues[baseName] = valueStr;
           } else if (lastValues[baseName] !== valueStr) {
             if (!items[category][baseName].forks.includes(fork)) {
               items[category][baseName].forks.push(fork);
             }
-            items[category][baseName].values[fork] = { mainnet: mainnetValue, minimal: minimalValue };
+            items[category][baseName].values[fork] = forkValue;
             lastValues[baseName] = valueStr;
           }
         });
       } else {
-        // Non-variable categories - no consolidation needed, use mainnet only
-        const categoryData = mainnetCategoryData || minimalCategoryData;
+        // Non-variable categories - no consolidation needed, use the first
+        // network that has the category
+        const categoryData = categoryDataByNetwork[presentNetworks[0]];
         Object.entries(categoryData).forEach(([name, value]) => {
+          namesInFork.add(name);
           const valueStr = comparisonKey(value, fork);
 
           if (!items[category][name]) {
@@ -174,7 +233,8 @@ function collectItems(data, forks) {
               name,
               category,
               forks: [fork],
-              values: { [fork]: value }
+              values: { [fork]: value },
+              removals: []
             };
             lastValues[name] = valueStr;
           } else if (lastValues[name] !== valueStr) {
@@ -184,6 +244,20 @@ function collectItems(data, forks) {
           }
         });
       }
+
+      // An item missing from a fork was removed there, up to the fork that
+      // brings it back, if any; that return counts as a change like any
+      // other. `removedIn` is the removal still in effect at the latest fork.
+      Object.values(items[category]).forEach(item => {
+        if (namesInFork.has(item.name)) {
+          if (item.removedIn) item.removals[item.removals.length - 1].until = fork;
+          delete item.removedIn;
+        } else if (!item.removedIn) {
+          item.removals.push({ from: fork, until: null });
+          item.removedIn = fork;
+          delete lastValues[item.name];
+        }
+      });
     });
   });
 
@@ -244,12 +318,12 @@ function createItemNode(item) {
 
   labelEl.appendChild(code);
 
-  // Add warning icon if mainnet/minimal values differ (only for variable categories)
+  // Add warning icon if networks' values differ (only for variable categories)
   if (isVariableCategory(item.category) && hasNetworkDifferences(item)) {
     const warning = document.createElement('span');
     warning.className = 'network-diff-warning';
     warning.innerHTML = '<i class="fas fa-exclamation-triangle"></i>';
-    warning.title = 'Values differ between mainnet and minimal';
+    warning.title = 'Values differ between networks';
     labelEl.appendChild(warning);
   }
 
@@ -280,6 +354,17 @@ function createItemNode(item) {
     badgesContainer.appendChild(more);
   }
 
+  if (item.removedIn) {
+    const removed = document.createElement('span');
+    removed.className = 'tree-fork-badge tree-removed-badge';
+    removed.innerHTML = `<i class="fas fa-xmark"></i>${getForkShortLabel(item.removedIn)}`;
+    removed.title = `Removed in ${getForkDisplayName(item.removedIn)}`;
+    removed.style.borderColor = getForkColor(item.removedIn);
+    badgesContainer.prepend(removed);
+    node.classList.add('tree-item-removed');
+    node.dataset.removedIn = item.removedIn;
+  }
+
   labelEl.appendChild(badgesContainer);
   node.appendChild(labelEl);
 
@@ -321,6 +406,7 @@ export function buildTree(data, forks) {
   clearRegistry();
 
   const items = collectItems(data, forks);
+  collectedItems = items;
 
   // Build tree by category - items directly under category, sorted alphabetically
   getCategoryOrder().forEach(category => {
@@ -344,14 +430,103 @@ export function buildTree(data, forks) {
 
   // Build the reverse reference index after all items are registered
   buildUsedByIndex(items);
+  buildSourceIndex(items);
 }
 
 /**
- * Filter the tree based on fork, type, and search term
+ * Show or clear the source-search hit count on a tree row
  */
-export function filterTree(forkFilter, typeFilter, searchTerm) {
+function setHitCount(itemNode, hits) {
+  const label = itemNode.querySelector('.tree-label');
+  let countEl = label.querySelector('.tree-hit-count');
+
+  if (!hits) {
+    if (countEl) countEl.remove();
+    return;
+  }
+
+  if (!countEl) {
+    countEl = document.createElement('span');
+    countEl.className = 'tree-hit-count';
+    label.insertBefore(countEl, label.querySelector('.tree-fork-badges'));
+  }
+  countEl.textContent = hits;
+  countEl.title = `${hits} matching ${hits === 1 ? 'line' : 'lines'} in the source`;
+}
+
+/**
+ * Match an item against the text part of a query
+ * @returns {number|null} Rank for ordering the item (higher first), or null if
+ *   it does not match
+ */
+function scoreItem(item, query, searchMode) {
+  if (searchMode === 'source') {
+    const patterns = getSourcePatterns(query);
+    if (patterns.length === 0) return 0;
+    return countSourceHits(item.category, item.name, patterns) || null;
+  }
+
+  if (!query.regexes.every(regex => regex.test(item.name))) return null;
+
+  let score = 0;
+  for (const term of query.terms) {
+    const termScore = fuzzyScore(term, item.name);
+    if (termScore === null) return null;
+    score += termScore;
+  }
+  return score;
+}
+
+/**
+ * Check an item against the fork filter
+ * @param {Object} forkFilter - { forks, mode }: the item has to have been
+ *   introduced ('introduced'), modified ('modified'), either ('any') or
+ *   removed ('removed') in one of the forks
+ */
+function matchesForkFilter(item, forkFilter) {
+  if (!forkFilter || forkFilter.forks.length === 0) return true;
+
+  return forkFilter.forks.some(fork => {
+    if (forkFilter.mode === 'removed') return item.removals.some(removal => removal.from === fork);
+    const index = item.forks.indexOf(fork);
+    if (index === -1) return false;
+    if (forkFilter.mode === 'introduced') return index === 0;
+    if (forkFilter.mode === 'modified') return index > 0;
+    return true;
+  });
+}
+
+/**
+ * Order a category's item rows by rank, or back to alphabetical
+ */
+function orderItemNodes(categoryNode, ranks) {
+  const children = categoryNode.querySelector('.tree-children');
+  const itemNodes = Array.from(children.querySelectorAll(':scope > .tree-node'));
+
+  const sorted = [...itemNodes].sort((a, b) => {
+    const rankA = ranks ? ranks.get(a) ?? -Infinity : 0;
+    const rankB = ranks ? ranks.get(b) ?? -Infinity : 0;
+    return rankB - rankA || a.dataset.name.localeCompare(b.dataset.name);
+  });
+
+  if (sorted.some((node, i) => node !== itemNodes[i])) {
+    sorted.forEach(node => children.appendChild(node));
+  }
+}
+
+/**
+ * Filter the tree based on fork, type, and search query
+ * @param {Object} forkFilter - Selected forks and mode (see matchesForkFilter)
+ * @param {Object} query - Parsed search query (see query.js)
+ * @param {string} searchMode - 'name' to match item names, 'source' to match
+ *   anywhere in their definitions
+ */
+export function filterTree(forkFilter, typeFilter, query, searchMode = 'name') {
   const container = document.getElementById('tree');
   const categoryNodes = container.querySelectorAll(':scope > .tree-node');
+  const searching = !isEmptyQuery(query);
+  // Fuzzy name matches are listed best first; everything else stays alphabetical
+  const ranked = searchMode === 'name' && query.terms.length > 0;
 
   categoryNodes.forEach(categoryNode => {
     const category = categoryNode.dataset.category;
@@ -365,26 +540,28 @@ export function filterTree(forkFilter, typeFilter, searchTerm) {
 
     // Get item nodes directly within this category
     const itemNodes = categoryNode.querySelectorAll(':scope > .tree-children > .tree-node');
+    const ranks = new Map();
     let visibleItemCount = 0;
 
     itemNodes.forEach(itemNode => {
-      const name = itemNode.dataset.name.toLowerCase();
-      const itemForks = itemNode.dataset.forks.split(' ');
-
-      // Fork filter - check if item has this fork
-      const matchesFork = !forkFilter || itemForks.includes(forkFilter);
+      const item = itemNode._itemData;
+      const matchesFork = matchesForkFilter(item, forkFilter) && isInSnapshot(item);
 
       // Search filter
-      const matchesSearch = !searchTerm || name.includes(searchTerm);
+      const score = matchesFilters(item, query) ? scoreItem(item, query, searchMode) : null;
+      setHitCount(itemNode, searchMode === 'source' && score !== null ? score : 0);
 
-      if (matchesFork && matchesSearch) {
+      if (matchesFork && score !== null) {
         itemNode.classList.remove('tree-filtered');
+        ranks.set(itemNode, score);
         visibleItemCount++;
       } else {
         itemNode.classList.add('tree-filtered');
       }
     });
 
+    orderItemNodes(categoryNode, ranked ? ranks : null);
+
     // Hide category if no visible items
     if (visibleItemCount === 0) {
       categoryNode.classList.add('tree-filtered');
@@ -393,10 +570,10 @@ export function filterTree(forkFilter, typeFilter, searchTerm) {
       const icon = categoryNode.querySelector('.tree-icon');
 
       // Auto-expand category if searching or if type filter matches this category
-      if (searchTerm || (typeFilter && category === typeFilter)) {
+      if (searching || (typeFilter && category === typeFilter)) {
         if (children) children.classList.remove('collapsed');
         if (icon) icon.textContent = '▼';
-      } else if (!typeFilter && !searchTerm) {
+      } else if (!typeFilter && !searching) {
         // Collapse when filters are cleared
         if (children) children.classList.add('collapsed');
         if (icon) icon.textContent = '▶';
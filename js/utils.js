@@ -0,0 +1,78 @@
+/**
+ * Small helpers shared across the viewer's modules
+ */
+
+/**
+ * Escape HTML special characters
+ */
+export function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Read a persisted preference, tolerating environments where storage throws
+ */
+export function readStored(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Persist a preference, or forget it when the value is null; failure just
+ * means it won't survive a reload
+ */
+export function writeStored(key, value) {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, value);
+    }
+  } catch (err) {
+    /* storage unavailable - preference stays in-memory only */
+  }
+}
+
+/**
+ * Build a select over `{value, text}` options
+ * @param {string} label - Accessible name of the select
+ * @param {Array<{value: string, text: string}>} options
+ * @param {string} value - The option selected initially
+ * @param {Function} [onChange] - Called with the picked value
+ * @param {string} [className='section-select'] - Empty for none
+ * @returns {HTMLSelectElement}
+ */
+export function createSelect(label, options, value, onChange, className = 'section-select') {
+  const select = document.createElement('select');
+  if (className) select.className = className;
+  select.setAttribute('aria-label', label);
+  options.forEach(({ value: optionValue, text }) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = text;
+    select.appendChild(option);
+  });
+  select.value = value;
+  if (onChange) select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+/**
+ * Build a select with a visible label in front of it, for page controls
+ * @returns {HTMLLabelElement}
+ */
+export function createLabelledSelect(label, options, value, onChange) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'config-check-control';
+  wrapper.textContent = label;
+  // The visible label already names the select
+  const select = createSelect(label, options, value, onChange, '');
+  select.removeAttribute('aria-label');
+  wrapper.appendChild(select);
+  return wrapper;
+}
@@ -0,0 +1,392 @@
+/**
+ * Numeric reading and human-friendly formatting of spec values
+ *
+ * Presets, configs and constants are written as Python expressions -
+ * `Gwei(2**5 * 10**9)`, `Epoch(2**64 - 1)`, `0x01000000` - so comparing or
+ * explaining two of them means evaluating them. Only integer arithmetic is
+ * understood, in BigInt since many values overflow a double; anything else is
+ * not a number as far as this module is concerned.
+ *
+ * Formatting only adds notes next to the raw value (the computed integer, an
+ * amount in ETH, a wall-clock duration, a decoded version), and can be turned
+ * off to see the values exactly as the spec writes them.
+ */
+
+import { readStored, writeStored } from './utils.js';
+
+const VALUE_FORMAT_KEY = 'specViewerValueFormat';
+
+// Types whose values are byte strings, even when written like a hex number
+const BYTE_STRING_TYPE_REGEX = /^(Bytes\d+|ByteVector\[.*\]|ByteList\[.*\]|Hash32|Root|ExecutionAddress|Version|DomainType|Domain|ForkDigest|BLSPubkey|BLSSignature|KZGCommitment|KZGProof)$/;
+
+// Numbers (with Python's underscores), operators, type casts like `Gwei(`,
+// and parentheses
+const VALUE_TOKEN_REGEX = /\s*(?:(0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*)|(\*\*|\/\/|<<|>>|[-+*/%()])|([A-Za-z_]\w*)\s*\(|(\S))/g;
+
+// Largest exponent or shift evaluated, so a typo cannot hang the page
+const MAX_EXPONENT = 4096n;
+
+const GWEI_PER_ETH = 10n ** 9n;
+
+// Epoch and slot numbers from here up are sentinels like FAR_FUTURE_EPOCH,
+// not points in time
+const SENTINEL_THRESHOLD = 2n ** 63n;
+
+// Durations whose names do not say their unit
+const EPOCH_DURATION_NAMES = new Set([
+  'MIN_VALIDATOR_WITHDRAWABILITY_DELAY',
+  'SHARD_COMMITTEE_PERIOD',
+  'MIN_SEED_LOOKAHEAD',
+  'MAX_SEED_LOOKAHEAD'
+]);
+const SLOT_DURATION_NAMES = new Set(['MIN_ATTESTATION_INCLUSION_DELAY']);
+const SECOND_DURATION_NAMES = new Set(['GENESIS_DELAY']);
+
+// The last three bytes of a fork version identify the network
+const VERSION_NETWORKS = {
+  '000000': 'mainnet',
+  '000001': 'minimal'
+};
+
+// Wall-clock units, largest first, with the smallest amount shown in each
+const DURATION_UNITS = [
+  { name: 'year', seconds: 365.25 * 24 * 3600, from: 2 },
+  { name: 'day', seconds: 24 * 3600, from: 2 },
+  { name: 'hour', seconds: 3600, from: 2 },
+  { name: 'minute', seconds: 60, from: 2 },
+  { name: 'second', seconds: 1, from: 0 }
+];
+
+let formattingEnabled = readStored(VALUE_FORMAT_KEY) !== 'false';
+
+/**
+ * Split an expression into tokens. A cast such as `uint64(` becomes a plain
+ * parenthesis, since it does not change an integer's value.
+ * @returns {Array<string|bigint>|null} Null if anything is not arithmetic
+ */
+function tokenizeValue(text) {
+  const tokens = [];
+  VALUE_TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = VALUE_TOKEN_REGEX.exec(text)) !== null) {
+    const [, number, operator, cast, other] = match;
+    if (other !== undefined) return null;
+    if (number !== undefined) tokens.push(BigInt(number.replace(/_/g, '')));
+    else if (operator !== undefined) tokens.push(operator);
+    else if (cast !== undefined) tokens.push('(');
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate tokens by recursive descent, following Python's precedence
+ */
+function evaluateTokens(tokens) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = () => tokens[position++];
+
+  const fail = () => {
+    throw new Error('not an integer expression');
+  };
+
+  const atom = () => {
+    const token = take();
+    if (typeof token === 'bigint') return token;
+    if (token !== '(') fail();
+    const value = shift();
+    if (take() !== ')') fail();
+    return value;
+  };
+
+  // Exponents bind tighter than a unary minus on their left, but take one on
+  // their right: -2**2 is -4, 2**-1 is not an integer
+  const power = () => {
+    const base = atom();
+    if (peek() !== '**') return base;
+    take();
+    const exponent = unary();
+    if (exponent < 0n || exponent > MAX_EXPONENT) fail();
+    return base ** exponent;
+  };
+
+  const unary = () => {
+    if (peek() === '-') {
+      take();
+      return -unary();
+    }
+    if (peek() === '+') {
+      take();
+      return unary();
+    }
+    return power();
+  };
+
+  const term = () => {
+    let value = unary();
+    while (['*', '/', '//', '%'].includes(peek())) {
+      const operator = take();
+      const right = unary();
+      if (operator === '*') {
+        value *= right;
+      } else {
+        if (right === 0n) fail();
+        // True division only counts when it stays an integer
+        if (operator === '/' && value % right !== 0n) fail();
+        // Python floors; BigInt truncates towards zero
+        const quotient = value / right;
+        const floored = (value % right !== 0n) && ((value < 0n) !== (right < 0n)) ? quotient - 1n : quotient;
+        value = operator === '%' ? value - floored * right : floored;
+      }
+    }
+    return value;
+  };
+
+  const additive = () => {
+    let value = term();
+    while (peek() === '+' || peek() === '-') {
+      value = take() === '+' ? value + term() : value - term();
+    }
+    return value;
+  };
+
+  const shift = () => {
+    let value = additive();
+    while (peek() === '<<' || peek() === '>>') {
+      const operator = take();
+      const right = additive();
+      if (right < 0n || right > MAX_EXPONENT) fail();
+      value = operator === '<<' ? value << right : value >> right;
+    }
+    return value;
+  };
+
+  const value = shift();
+  if (position !== tokens.length) fail();
+  return value;
+}
+
+/**
+ * Read a spec value as an integer
+ * @param {string|number} value - The value as written in the spec
+ * @returns {bigint|null} Null if it is not integer arithmetic
+ */
+export function parseIntegerValue(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? BigInt(value) : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  // Byte strings like `DomainType('0x00000000')` are identifiers, not numbers
+  if (/["']/.test(value)) return null;
+
+  const tokens = tokenizeValue(value);
+  if (!tokens || tokens.length === 0) return null;
+
+  try {
+    return evaluateTokens(tokens);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether a spec type's values are byte strings, such as a `Bytes32`, a
+ * `Root` or an `ExecutionAddress`
+ */
+export function isByteStringType(type) {
+  return BYTE_STRING_TYPE_REGEX.test(String(type || '').trim());
+}
+
+/**
+ * Whether two values written differently mean the same thing, e.g.
+ * `Gwei(32000000000)` and `32000000000` from a config YAML
+ * @param {string} [type] - The spec's type for the values. Byte strings only
+ *   match byte for byte, so `0x01` is not `0x0001`.
+ */
+export function valuesMatch(a, b, type = '') {
+  if (!isByteStringType(type)) {
+    const left = parseIntegerValue(a);
+    const right = parseIntegerValue(b);
+    // Without a type, hex next to decimal is more likely bytes than a number
+    const comparable = Boolean(type) || /^0x/i.test(String(a).trim()) === /^0x/i.test(String(b).trim());
+    if (left !== null && right !== null && comparable) return left === right;
+  }
+
+  // Otherwise compare the text, without casts, quotes or the case of hex
+  const normalize = value => String(value ?? '').trim()
+    .replace(/^[A-Za-z_]\w*\((.*)\)$/, '$1')
+    .replace(/^(["'])(.*)\1$/, '$2')
+    .toLowerCase();
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Describe how far a number moved: a ratio when one divides the other
+ * (`×2`, `÷4`), otherwise a percentage (`+12.5%`)
+ * @returns {string|null} Null when there is nothing meaningful to say, e.g.
+ *   the old value was zero
+ */
+export function describeNumericChange(oldValue, newValue) {
+  if (oldValue === 0n || oldValue === newValue) return null;
+
+  // Ratios only read naturally between values of the same sign
+  if ((oldValue > 0n) === (newValue > 0n) && newValue !== 0n) {
+    if (newValue % oldValue === 0n) return `×${newValue / oldValue}`;
+    if (oldValue % newValue === 0n) return `÷${oldValue / newValue}`;
+  }
+
+  // Tenths of a percent, in BigInt until the numbers are small. BigInt
+  // division truncates, so add half the divisor first to round half away
+  // from zero.
+  const change = (newValue - oldValue) * 1000n;
+  const base = oldValue < 0n ? -oldValue : oldValue;
+  const tenths = Number((2n * change + (change < 0n ? -base : base)) / (2n * base));
+  if (tenths === 0) return '<0.1%';
+  const percent = (tenths / 10).toLocaleString('en-US', { maximumFractionDigits: 1 });
+  return `${tenths > 0 ? '+' : ''}${percent}%`;
+}
+
+/**
+ * Whether values are shown with formatting notes, rather than raw
+ */
+export function isValueFormattingEnabled() {
+  return formattingEnabled;
+}
+
+/**
+ * Create the button switching between formatted and raw values
+ * @param {Function} onChange - Called after the choice changes, to re-render
+ */
+export function createValueFormatToggle(onChange) {
+  const toggle = document.createElement('button');
+  toggle.className = 'value-format-toggle';
+  toggle.classList.toggle('active', formattingEnabled);
+  toggle.innerHTML = '<i class="fas fa-wand-magic-sparkles"></i> Formatted';
+  toggle.title = formattingEnabled
+    ? 'Show values exactly as the spec writes them'
+    : 'Explain values: computed integers, ETH amounts, durations and versions';
+  toggle.addEventListener('click', () => {
+    formattingEnabled = !formattingEnabled;
+    writeStored(VALUE_FORMAT_KEY, String(formattingEnabled));
+    onChange();
+  });
+  return toggle;
+}
+
+/**
+ * Group an integer's digits, e.g. 2048 as `2,048`
+ */
+function groupDigits(value) {
+  return value.toLocaleString('en-US');
+}
+
+/**
+ * Write an amount of gwei in ETH, keeping every significant decimal
+ */
+function formatEth(gwei) {
+  const sign = gwei < 0n ? '-' : '';
+  const amount = gwei < 0n ? -gwei : gwei;
+  const fraction = String(amount % GWEI_PER_ETH).padStart(9, '0').replace(/0+$/, '');
+  return `${sign}${groupDigits(amount / GWEI_PER_ETH)}${fraction ? '.' + fraction : ''} ETH`;
+}
+
+/**
+ * Write a number of seconds in the largest unit that reads naturally
+ */
+function formatDuration(seconds) {
+  const unit = DURATION_UNITS.find(candidate => seconds >= candidate.seconds * candidate.from);
+  const amount = Math.round((seconds / unit.seconds) * 10) / 10;
+  return `${amount.toLocaleString('en-US')} ${unit.name}${amount === 1 ? '' : 's'}`;
+}
+
+/**
+ * Work out what unit of time a value is counted in, from its type or name
+ * @returns {{unit: 'epoch'|'slot'|'second', point: boolean}|null} `point` is
+ *   set for epoch and slot numbers, which count from genesis
+ */
+function getTimeUnit(name, type) {
+  if (type === 'Epoch') return { unit: 'epoch', point: true };
+  if (type === 'Slot') return { unit: 'slot', point: true };
+
+  // `SLOTS_PER_EPOCH` counts slots, `EPOCHS_PER_SYNC_COMMITTEE_PERIOD` epochs
+  const per = name.match(/^(EPOCHS|SLOTS)_PER_/);
+  if (per) return { unit: per[1] === 'EPOCHS' ? 'epoch' : 'slot', point: false };
+
+  if (EPOCH_DURATION_NAMES.has(name) || /_EPOCHS(_|$)/.test(name)) return { unit: 'epoch', point: false };
+  if (SLOT_DURATION_NAMES.has(name) || /_SLOTS(_|$)/.test(name)) return { unit: 'slot', point: false };
+  if (SECOND_DURATION_NAMES.has(name) || /(^|_)SECONDS(_|$)/.test(name)) return { unit: 'second', point: false };
+  return null;
+}
+
+/**
+ * Describe a count of epochs, slots or seconds as wall-clock time
+ * @returns {string|null} Null if the network's slot timing is unknown
+ */
+function describeTime(count, { unit, point }, timing) {
+  if (count < 0n || count >= SENTINEL_THRESHOLD) return null;
+
+  let slots = null;
+  if (unit === 'slot') slots = count;
+  else if (unit === 'epoch' && timing.slotsPerEpoch !== null) slots = count * timing.slotsPerEpoch;
+
+  let seconds = null;
+  if (unit === 'second') seconds = count;
+  else if (slots !== null && timing.secondsPerSlot !== null) seconds = slots * timing.secondsPerSlot;
+
+  if (seconds === null || seconds > BigInt(Number.MAX_SAFE_INTEGER)) return null;
+  // A seconds value already says as much in seconds
+  if (unit === 'second' && seconds < 120n) return null;
+  return `${point ? '' : '≈ '}${formatDuration(Number(seconds))}${point ? ' after genesis' : ''}`;
+}
+
+/**
+ * Decode a 4-byte fork version written in hex
+ * @returns {string|null}
+ */
+function describeVersion(name, type, value) {
+  if (type !== 'Version' && !/_FORK_VERSION$/.test(name)) return null;
+  const match = String(value).match(/0x([0-9a-fA-F]{8})\b/);
+  if (!match) return null;
+  const hex = match[1].toLowerCase();
+  const suffix = hex.slice(2);
+  const network = VERSION_NETWORKS[suffix] || `network 0x${suffix}`;
+  return `fork #${parseInt(hex.slice(0, 2), 16)}, ${network}`;
+}
+
+/**
+ * Explain a variable's value
+ * @param {string} name - The variable's name, which hints at its unit
+ * @param {string} type - The variable's type, e.g. `Gwei` or `Version`
+ * @param {string|number} value - The value as written in the spec
+ * @param {{secondsPerSlot: bigint|null, slotsPerEpoch: bigint|null}} timing -
+ *   The network's slot timing at the fork shown, for durations
+ * @returns {string[]} Notes to show next to the raw value, possibly none
+ */
+export function describeValue(name, type, value, timing) {
+  const version = describeVersion(name, type, value);
+  if (version) return [version];
+  // Hashes, addresses and the like are written in hex but are no numbers
+  if (isByteStringType(type)) return [];
+
+  const number = parseIntegerValue(value);
+  if (number === null) return [];
+
+  const notes = [];
+
+  // The integer itself is only news when the spec wrote an expression
+  const literal = String(value).trim().replace(/^[A-Za-z_]\w*\((.*)\)$/, '$1').trim();
+  if (!/^\d+$/.test(literal)) notes.push(`= ${groupDigits(number)}`);
+
+  if (type === 'Gwei' || /_GWEI$/.test(name)) notes.push(formatEth(number));
+
+  // Timestamps such as MIN_GENESIS_TIME are Unix seconds
+  if (/_TIME$/.test(name) && number > 0n && number < SENTINEL_THRESHOLD) {
+    const date = new Date(Number(number) * 1000);
+    if (!Number.isNaN(date.getTime())) notes.push(date.toISOString().replace('T', ' ').replace('.000Z', ' UTC'));
+  }
+
+  const time = getTimeUnit(name, type);
+  const duration = time ? describeTime(number, time, timing) : null;
+  if (duration) notes.push(duration);
+
+  return notes;
+}
@@ -0,0 +1,94 @@
+/**
+ * Cross-version comparison
+ *
+ * Holds a second snapshot of the active repo, the baseline, so an item can be
+ * diffed against the same item in another release. The baseline is collected
+ * with the same rules as the tree, so `item.forks` means the same thing on
+ * both sides and the two can be lined up fork by fork.
+ */
+
+import { findEffectiveFork, getForkOrder } from './constants.js';
+
+const compareState = {
+  version: null,
+  items: null
+};
+
+/**
+ * Set the baseline snapshot
+ * @param {string} version - The version the items were collected from
+ * @param {Object} items - Items from collectItems (category -> name -> item)
+ */
+export function setBaseline(version, items) {
+  compareState.version = version;
+  compareState.items = items;
+}
+
+/**
+ * Drop the baseline, returning the viewer to fork-by-fork mode
+ */
+export function clearBaseline() {
+  compareState.version = null;
+  compareState.items = null;
+}
+
+/**
+ * The version currently loaded as the baseline, or null
+ */
+export function getBaselineVersion() {
+  return compareState.version;
+}
+
+/**
+ * Whether a baseline is loaded
+ */
+export function isComparing() {
+  return compareState.items !== null;
+}
+
+/**
+ * All of the baseline's items (category -> name -> item), or an empty object
+ */
+export function getBaselineItems() {
+  return compareState.items || {};
+}
+
+/**
+ * Look up the baseline's copy of an item
+ * @returns {Object|null} The item as it was in the baseline version, or null
+ *   if the item did not exist there
+ */
+export function getBaselineItem(item) {
+  if (!compareState.items) return null;
+  return compareState.items[item.category]?.[item.name] || null;
+}
+
+/**
+ * Get an item's value as it stands at a fork, or null if it does not exist yet
+ */
+export function getValueAtFork(item, fork) {
+  if (!item) return null;
+  const effective = findEffectiveFork(item.forks, fork);
+  return effective ? item.values[effective] : null;
+}
+
+/**
+ * Line up an item with its baseline copy, one entry per fork either side
+ * recorded a change in
+ *
+ * @returns {Array<{fork: string, oldValue: *, newValue: *}>} Chronological;
+ *   a side is null when the item did not exist at that fork in that version
+ */
+export function alignReleaseForks(item, baselineItem) {
+  const forks = new Set(item.forks);
+  if (baselineItem) baselineItem.forks.forEach(fork => forks.add(fork));
+
+  const forkOrder = getForkOrder();
+  return Array.from(forks)
+    .sort((a, b) => forkOrder.indexOf(a) - forkOrder.indexOf(b))
+    .map(fork => ({
+      fork,
+      oldValue: getValueAtFork(baselineItem, fork),
+      newValue: getValueAtFork(item, fork)
+    }));
+}
@@ -0,0 +1,191 @@
+/**
+ * YAML reading for config files
+ *
+ * Network and client configs are plain YAML: block mappings, block sequences
+ * (`BLOB_SCHEDULE` is a list of mappings) and the odd `[]`. This reads that
+ * subset and nothing more. Every scalar stays the string it was written as,
+ * so values compare the way the spec writes them; anchors, multi-line strings
+ * and the other corners of YAML are rejected with an error naming the line.
+ */
+
+/**
+ * Strip a trailing comment, leaving `#` inside quotes alone
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+/**
+ * Split the text into meaningful lines with their indentation
+ * @returns {Array<{indent: number, text: string, line: number}>}
+ */
+function splitLines(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const content = stripComment(raw).trimEnd();
+    if (content.trim() === '' || content === '---') return;
+    const indentation = content.match(/^[ \t]*/)[0];
+    if (indentation.includes('\t')) {
+      throw new Error(`Line ${index + 1}: indent with spaces, not tabs`);
+    }
+    lines.push({ indent: indentation.length, text: content.trim(), line: index + 1 });
+  });
+  return lines;
+}
+
+/**
+ * Find the colon ending a mapping key, outside quotes
+ * @returns {number} Its index, or -1 if the text is not a key
+ */
+function findKeyColon(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read a scalar or a one-line flow sequence
+ */
+function parseScalar(text, line) {
+  if (text.startsWith('"')) {
+    if (!text.endsWith('"') || text.length < 2) throw new Error(`Line ${line}: unterminated string`);
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Line ${line}: unreadable string ${text}`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) throw new Error(`Line ${line}: unterminated string`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) throw new Error(`Line ${line}: flow sequences must close on the same line`);
+    const inner = text.slice(1, -1).trim();
+    return inner === '' ? [] : inner.split(',').map(part => parseScalar(part.trim(), line));
+  }
+  if (text === '{}') return {};
+  if (/^[&*!|>{]/.test(text)) {
+    throw new Error(`Line ${line}: unsupported YAML syntax "${text}"`);
+  }
+  if (text === '~' || text === 'null') return null;
+  return text;
+}
+
+/**
+ * Read a block mapping or sequence starting at a line
+ * @returns {{value: *, next: number}} The value and the first line after it
+ */
+function parseBlock(lines, start, indent) {
+  return lines[start].text === '-' || lines[start].text.startsWith('- ')
+    ? parseSequence(lines, start, indent)
+    : parseMapping(lines, start, indent);
+}
+
+/**
+ * Read the value after a key or dash: inline, nested below, or empty
+ */
+function parseValue(lines, index, rest, indent, line) {
+  if (rest !== '') return { value: parseScalar(rest, line), next: index + 1 };
+
+  const following = lines[index + 1];
+  // A sequence may sit at its key's own indentation
+  const nested = following && (following.indent > indent ||
+    (following.indent === indent && (following.text === '-' || following.text.startsWith('- '))));
+  if (!nested) return { value: null, next: index + 1 };
+  return parseBlock(lines, index + 1, following.indent);
+}
+
+function parseMapping(lines, start, indent) {
+  const mapping = {};
+  let index = start;
+
+  while (index < lines.length && lines[index].indent === indent) {
+    const { text, line } = lines[index];
+    if (text === '-' || text.startsWith('- ')) break;
+
+    const colon = findKeyColon(text);
+    if (colon === -1) throw new Error(`Line ${line}: expected "key: value"`);
+
+    const key = String(parseScalar(text.slice(0, colon).trim(), line));
+    if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+      throw new Error(`Line ${line}: duplicate key ${key}`);
+    }
+
+    const parsed = parseValue(lines, index, text.slice(colon + 1).trim(), indent, line);
+    mapping[key] = parsed.value;
+    index = parsed.next;
+  }
+
+  if (index < lines.length && lines[index].indent > indent) {
+    throw new Error(`Line ${lines[index].line}: unexpected indentation`);
+  }
+  return { value: mapping, next: index };
+}
+
+function parseSequence(lines, start, indent) {
+  const sequence = [];
+  let index = start;
+
+  while (index < lines.length && lines[index].indent === indent) {
+    const { text, line } = lines[index];
+    if (text !== '-' && !text.startsWith('- ')) break;
+
+    const rest = text.slice(1).trim();
+    if (rest !== '' && findKeyColon(rest) !== -1 && !/^["'[]/.test(rest)) {
+      // `- KEY: value` opens a mapping indented to where its first key sits
+      const itemIndent = indent + text.indexOf(rest);
+      const itemLines = lines.slice();
+      itemLines[index] = { indent: itemIndent, text: rest, line };
+      const parsed = parseMapping(itemLines, index, itemIndent);
+      sequence.push(parsed.value);
+      index = parsed.next;
+    } else {
+      const parsed = parseValue(lines, index, rest, indent, line);
+      sequence.push(parsed.value);
+      index = parsed.next;
+    }
+  }
+
+  if (index < lines.length && lines[index].indent > indent) {
+    throw new Error(`Line ${lines[index].line}: unexpected indentation`);
+  }
+  return { value: sequence, next: index };
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text - The document
+ * @returns {*} Mappings as objects, sequences as arrays, scalars as strings
+ *   (null for empty values)
+ * @throws {Error} If the document uses YAML this reader does not understand
+ */
+export function parseYaml(text) {
+  const lines = splitLines(text);
+  if (lines.length === 0) return null;
+  if (lines[0].indent !== 0) throw new Error(`Line ${lines[0].line}: unexpected indentation`);
+
+  const { value, next } = parseBlock(lines, 0, 0);
+  if (next < lines.length) throw new Error(`Line ${lines[next].line}: unexpected content`);
+  return value;
+}